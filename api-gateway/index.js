@@ -13,7 +13,12 @@ const CACHE_TTL = 30000; // 30 seconds
 // CORS (dev-simple) - MUST handle OPTIONS before proxy middleware
 app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", "http://localhost:5173");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.header(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, If-Match, Idempotency-Key",
+  );
+  // Tickets' ETag is sent back as If-Match (optimistic concurrency, S2/S4)
+  res.header("Access-Control-Expose-Headers", "ETag, Idempotent-Replayed");
   res.header(
     "Access-Control-Allow-Methods",
     "GET,POST,PUT,PATCH,DELETE,OPTIONS",
@@ -91,6 +96,7 @@ function createDynamicProxy(serviceName, pathPrefix) {
       const proxy = createProxyMiddleware({
         target: serviceUrl,
         changeOrigin: true,
+        xfwd: true, // Pass the client IP on (S1 throttles logins per IP)
         pathRewrite: { [`^${pathPrefix}`]: "" },
         logLevel: "debug",
         onProxyReq: (proxyReq, req, res) => {
@@ -0,0 +1,218 @@
+// Mock OpenID Connect provider for local development and testing of single sign-on.
+// Implements just enough of the authorization code flow with PKCE for s1-auth:
+// discovery, JWKS, an authorization page to pick a test user, and the token endpoint.
+// Never use it outside development: anyone can sign in as any configured user.
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const PORT = process.env.PORT || 9400;
+
+// The browser opens the authorization endpoint at ISSUER; s1-auth calls the token
+// endpoint and JWKS from inside the compose network at INTERNAL_URL
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const INTERNAL_URL = process.env.MOCK_OIDC_INTERNAL_URL || ISSUER;
+
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "ticketing";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET; // unset: public client
+
+const CODE_TTL_SECONDS = 60;
+const ID_TOKEN_TTL = "5m";
+
+// Test users to sign in as; override with MOCK_OIDC_USERS (same shape)
+const USERS = process.env.MOCK_OIDC_USERS
+  ? JSON.parse(process.env.MOCK_OIDC_USERS)
+  : [
+      {
+        sub: "mock-admin",
+        email: "admin@corp.example",
+        name: "Ada Admin",
+        groups: ["ticketing-admins"],
+      },
+      {
+        sub: "mock-staff",
+        email: "staff@corp.example",
+        name: "Sam Staff",
+        groups: ["ticketing-staff"],
+      },
+      {
+        sub: "mock-user",
+        email: "user@corp.example",
+        name: "Uma User",
+        groups: ["everyone"],
+      },
+    ];
+
+// Signing key, regenerated on every start (s1-auth refetches the JWKS for unknown kids)
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KEY_ID = crypto.randomUUID();
+
+// Issued authorization codes: code -> { user, clientId, redirectUri, nonce, codeChallenge, expiresAt }
+const codes = new Map();
+
+function findUser(hint) {
+  return USERS.find((user) => user.sub === hint || user.email === hint);
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function tokenError(res, status, error, description) {
+  res.status(status).json({ error, error_description: description });
+}
+
+// Client credentials from client_secret_basic or client_secret_post
+function clientCredentials(req) {
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(auth.slice(6), "base64").toString().split(":");
+    return { clientId: decodeURIComponent(id), clientSecret: decodeURIComponent(secret || "") };
+  }
+  return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+}
+
+app.get("/health", (req, res) => {
+  res.json({ status: "ok", service: "mock-oidc" });
+});
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${INTERNAL_URL}/token`,
+    jwks_uri: `${INTERNAL_URL}/jwks`,
+    response_types_supported: ["code"],
+    grant_types_supported: ["authorization_code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: CLIENT_SECRET
+      ? ["client_secret_basic", "client_secret_post"]
+      : ["none"],
+    scopes_supported: ["openid", "email", "profile", "groups"],
+    claims_supported: ["sub", "email", "email_verified", "name", "groups"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, alg: "RS256", use: "sig" }],
+  });
+});
+
+// GET /authorize - Pick a test user, then redirect back with a code.
+// Pass login_hint=<sub or email> to skip the page (e.g. from curl).
+app.get("/authorize", (req, res) => {
+  const { response_type, client_id, redirect_uri, state, nonce, login_hint } = req.query;
+  const { code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).send("unknown client_id or missing redirect_uri");
+  }
+  if (response_type !== "code") {
+    return res.status(400).send("only response_type=code is supported");
+  }
+  if (!code_challenge || code_challenge_method !== "S256") {
+    return res.status(400).send("PKCE with code_challenge_method=S256 is required");
+  }
+
+  const user = login_hint && findUser(login_hint);
+  if (!user) {
+    const hidden = Object.entries(req.query)
+      .filter(([name]) => name !== "login_hint")
+      .map(
+        ([name, value]) =>
+          `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`
+      )
+      .join("");
+    const buttons = USERS.map(
+      (u) =>
+        `<button name="login_hint" value="${escapeHtml(u.sub)}">` +
+        `${escapeHtml(u.name)} &lt;${escapeHtml(u.email)}&gt; ` +
+        `<small>${escapeHtml((u.groups || []).join(", "))}</small></button>`
+    ).join("<br>");
+    return res.send(
+      `<!DOCTYPE html><html><head><title>Mock identity provider</title></head><body>` +
+        `<h1>Mock identity provider</h1><p>Sign in as:</p>` +
+        `<form method="get" action="/authorize">${hidden}${buttons}</form></body></html>`
+    );
+  }
+
+  const code = crypto.randomBytes(32).toString("base64url");
+  codes.set(code, {
+    user,
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    expiresAt: Date.now() + CODE_TTL_SECONDS * 1000,
+  });
+
+  const target = new URL(redirect_uri);
+  target.searchParams.set("code", code);
+  if (state) target.searchParams.set("state", state);
+  res.redirect(target.toString());
+});
+
+// POST /token - Trade a code (and its PKCE verifier) for an ID token
+app.post("/token", (req, res) => {
+  const { grant_type, code, redirect_uri, code_verifier } = req.body;
+  const { clientId, clientSecret } = clientCredentials(req);
+
+  if (grant_type !== "authorization_code") {
+    return tokenError(res, 400, "unsupported_grant_type", "only authorization_code is supported");
+  }
+  if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+    return tokenError(res, 401, "invalid_client", "unknown client or wrong secret");
+  }
+
+  // Codes are single-use
+  const grant = codes.get(code);
+  codes.delete(code);
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId) {
+    return tokenError(res, 400, "invalid_grant", "unknown or expired code");
+  }
+  if (grant.redirectUri !== redirect_uri) {
+    return tokenError(res, 400, "invalid_grant", "redirect_uri does not match");
+  }
+  const challenge = crypto.createHash("sha256").update(code_verifier || "").digest("base64url");
+  if (challenge !== grant.codeChallenge) {
+    return tokenError(res, 400, "invalid_grant", "code_verifier does not match");
+  }
+
+  const { user } = grant;
+  const idToken = jwt.sign(
+    {
+      sub: user.sub,
+      email: user.email,
+      email_verified: user.email_verified !== false,
+      name: user.name,
+      groups: user.groups || [],
+      ...(grant.nonce ? { nonce: grant.nonce } : {}),
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: clientId,
+      expiresIn: ID_TOKEN_TTL,
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(32).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running on port ${PORT} (issuer ${ISSUER})`);
+  console.log(`Users: ${USERS.map((user) => `${user.email} [${(user.groups || []).join(", ")}]`).join("; ")}`);
+});
@@ -0,0 +1,234 @@
+/**
+ * Authentication Helper
+ *
+ * Copy this file to other services and use it to verify access tokens issued by s1-auth.
+ * Tokens are verified with s1-auth's public keys (JWKS), cached by key id, so services
+ * can check tokens but never create them.
+ *
+ * API keys (`Authorization: Bearer tk_...`) are accepted too. They are looked up by hash
+ * in the shared api_keys table and carry scopes, which routes check with requireScope().
+ *
+ * Every identity belongs to an organization (`org_id`); queries filter by orgScope(req.user).
+ *
+ * Usage:
+ *   const { createAuthenticate, requireScope, orgScope } = require('./auth-helper');
+ *   const authenticate = createAuthenticate(pool);
+ *   app.get('/protected', authenticate, requireScope('tickets:read'), handler);
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWKS_URL =
+  process.env.AUTH_JWKS_URL || 'http://s1-auth-account:3001/.well-known/jwks.json';
+const JWKS_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const JWKS_MIN_REFETCH_INTERVAL = 1000; // Unknown kid: refetch at most once a second
+const ALGORITHMS = ['RS256', 'ES256'];
+const API_KEY_PREFIX = 'tk_';
+
+// Public keys by kid
+let publicKeys = new Map();
+let lastFetch = 0;
+let pendingFetch = null;
+
+async function fetchJwks() {
+  const response = await fetch(JWKS_URL, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`JWKS request failed: ${response.status}`);
+  }
+  const { keys } = await response.json();
+  publicKeys = new Map(
+    keys.map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+  );
+  lastFetch = Date.now();
+}
+
+/**
+ * Look up a public key, refreshing the cache when it is stale or the kid is new
+ * (s1-auth rotated its key). Concurrent callers share one request.
+ */
+async function getPublicKey(kid) {
+  const age = Date.now() - lastFetch;
+  if (age > JWKS_CACHE_TTL || (!publicKeys.has(kid) && age > JWKS_MIN_REFETCH_INTERVAL)) {
+    if (!pendingFetch) {
+      pendingFetch = fetchJwks()
+        .catch((error) => {
+          // Keep using the cached keys if s1-auth is briefly unreachable
+          console.error('[Auth] Failed to fetch JWKS:', error.message);
+        })
+        .finally(() => {
+          pendingFetch = null;
+        });
+    }
+    await pendingFetch;
+  }
+  return publicKeys.get(kid);
+}
+
+/**
+ * Verify a token signed by s1-auth
+ * @param {string} token - Encoded JWT
+ * @returns {Promise<object>} The token payload
+ */
+async function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new Error('token has no key id');
+  }
+  const key = await getPublicKey(decoded.header.kid);
+  if (!key) {
+    throw new Error('unknown signing key');
+  }
+  return jwt.verify(token, key, { algorithms: ALGORITHMS });
+}
+
+/**
+ * Check whether the session behind an access token is still active.
+ * Sessions are owned by s1-auth and revoked by POST /logout and POST /logout-all.
+ * @param {import('pg').Pool} pool - Shared database pool
+ * @param {string} sessionId - The `sid` claim of the access token
+ */
+async function isSessionActive(pool, sessionId) {
+  const result = await pool.query(
+    'SELECT revoked_at FROM sessions WHERE id = $1',
+    [sessionId]
+  );
+  return result.rows.length > 0 && result.rows[0].revoked_at === null;
+}
+
+/**
+ * Resolve an API key to the identity it acts as.
+ * Keys are issued by s1-auth and stored as sha256 hashes; the owner must still be active.
+ * @param {import('pg').Pool} pool - Shared database pool
+ * @param {string} key - The raw key from the Authorization header
+ * @returns {Promise<object|null>} req.user for the key, or null if it is unknown/revoked/expired
+ */
+async function findApiKeyUser(pool, key) {
+  const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+  const result = await pool.query(
+    `SELECT k.id, k.scopes, u.id AS user_id, u.email, u.role, u.org_id, u.cross_org
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.key_hash = $1
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())
+       AND u.is_active = TRUE`,
+    [keyHash]
+  );
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  pool
+    .query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [row.id])
+    .catch((err) => console.error('[Auth] Failed to touch API key:', err.message));
+
+  return {
+    sub: row.user_id,
+    role: row.role,
+    email: row.email,
+    org_id: row.org_id,
+    cross_org: row.cross_org,
+    scopes: row.scopes,
+    typ: 'api_key',
+    key_id: row.id,
+  };
+}
+
+/**
+ * Build the `authenticate` middleware for a service
+ * @param {import('pg').Pool} pool - Shared database pool
+ * @param {object} options - Optional overrides
+ * @param {Function} options.verifyToken - Token verifier (s1-auth uses its own key store)
+ * @returns {Function} Express middleware that sets req.user = { sub, role, email, org_id, cross_org, sid }
+ *   (or { sub, role, email, org_id, cross_org, scopes, typ: 'api_key', key_id } for API keys,
+ *   and { sub: serviceName, role: 'service', typ: 'service', scopes, cross_org } for service tokens)
+ */
+function createAuthenticate(pool, options = {}) {
+  const verify = options.verifyToken || verifyToken;
+
+  return async function authenticate(req, res, next) {
+    const auth = req.headers.authorization || '';
+    const [, token] = auth.split(' ');
+    if (!token) {
+      return res.status(401).json({ error: 'missing token' });
+    }
+
+    if (token.startsWith(API_KEY_PREFIX)) {
+      try {
+        const user = await findApiKeyUser(pool, token);
+        if (!user) {
+          return res.status(401).json({ error: 'invalid api key' });
+        }
+        req.user = user;
+        return next();
+      } catch (err) {
+        console.error('[Auth] API key lookup failed:', err.message);
+        return res.status(500).json({ error: 'internal error' });
+      }
+    }
+
+    let payload;
+    try {
+      payload = await verify(token);
+    } catch (err) {
+      return res.status(401).json({ error: 'invalid token' });
+    }
+
+    // mfa_pending tokens are only good for finishing a login at s1-auth
+    if (payload.typ === 'mfa_pending') {
+      return res.status(401).json({ error: 'mfa required' });
+    }
+
+    // Service tokens are minted for internal calls and have no session
+    if (payload.typ === 'service') {
+      req.user = payload;
+      return next();
+    }
+
+    try {
+      if (!payload.sid || !(await isSessionActive(pool, payload.sid))) {
+        return res.status(401).json({ error: 'token revoked' });
+      }
+    } catch (err) {
+      console.error('[Auth] Session lookup failed:', err.message);
+      return res.status(500).json({ error: 'internal error' });
+    }
+
+    req.user = payload;
+    next();
+  };
+}
+
+/**
+ * Require a scope for API keys and service tokens.
+ * Interactive sessions carry no scopes and are limited by role checks only.
+ * @param {string} scope - e.g. 'tickets:read'
+ */
+function requireScope(scope) {
+  return function (req, res, next) {
+    if (req.user.scopes && !req.user.scopes.includes(scope)) {
+      return res.status(403).json({ error: `requires scope ${scope}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Organization a caller is limited to, for filtering queries:
+ *   WHERE ($1::int IS NULL OR org_id = $1)  with  [orgScope(req.user)]
+ * Staff, admins and services granted cross-org access see every organization (null).
+ * Tokens issued before organizations existed carry no org_id and match nothing.
+ * @param {object} user - req.user
+ * @returns {number|null}
+ */
+function orgScope(user) {
+  const privileged = ['staff', 'admin', 'service'].includes(user.role);
+  if (privileged && user.cross_org) return null;
+  return user.org_id ?? 0;
+}
+
+module.exports = {
+  createAuthenticate,
+  requireScope,
+  orgScope,
+};
@@ -2,15 +2,110 @@ const express = require("express");
 const jwt = require("jsonwebtoken");
 const { Pool } = require("pg");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { createAuthenticate, requireScope, orgScope } = require("./auth-helper");
+const signingKeys = require("./signing-keys");
+const totp = require("./totp");
+const oidc = require("./oidc");
 
 const app = express();
 app.use(express.json());
+// Requests arrive through the API gateway; trust its X-Forwarded-For so req.ip is the client
+app.set("trust proxy", process.env.TRUST_PROXY || "loopback, uniquelocal");
 
 const pool = new Pool({
   connectionString: process.env.DB_URL,
 });
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
+const VALID_ROLES = ["user", "staff", "admin"];
+
+// Token lifetimes: short-lived access JWTs, long-lived refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Single-use tokens sent by email
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// Links in account emails point at the web client
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+const NOTIFICATION_SERVICE_URL =
+  process.env.NOTIFICATION_SERVICE_URL || "http://s6-notifications:3006";
+
+// Multi-factor authentication
+const MFA_ISSUER = process.env.MFA_ISSUER || "Ticketing";
+const MFA_TOKEN_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+// Brute-force protection: progressive delays, then a temporary lockout
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_FAILURE_WINDOW_MINUTES = 15;
+
+// Compared against when the email is unknown, so both cases cost one bcrypt round
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+// API keys for scripts and integrations: "tk_" + random bytes, stored as a SHA-256 hash
+const API_KEY_PREFIX = "tk_";
+const API_KEY_SCOPES = [
+  "tickets:read",
+  "tickets:write",
+  "workflow:read",
+  "workflow:write",
+  "media:read",
+  "media:write",
+  "notifications:read",
+  "notifications:write",
+  "feedback:read",
+  "feedback:write",
+  "analytics:read",
+  "analytics:write",
+  "users:read",
+];
+const API_KEY_COLUMNS =
+  "id, user_id, name, key_prefix, scopes, created_by, created_at, last_used_at, expires_at, revoked_at";
+
+// Single sign-on: how long a started OIDC login may take to come back
+const OIDC_LOGIN_TTL_MINUTES = 10;
+
+// Organizations (tenants). Accounts without a matching email domain join the default org
+const DEFAULT_ORG_NAME = process.env.DEFAULT_ORG_NAME || "Default";
+let defaultOrgId = null;
+
+// Service accounts are users with role `service` and an email in this reserved domain
+const SERVICE_ACCOUNT_DOMAIN = "service.local";
+const SERVICE_ACCOUNT_NAME = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+// Channels of S6 a user can choose for notifications
+const NOTIFICATION_CHANNELS = ["in_app", "email", "sms"];
+
+// Profile fields users edit themselves, each with a validator returning an error or null
+const PROFILE_FIELDS = {
+  display_name: (value) =>
+    value.length <= 100 ? null : "display_name must be at most 100 characters",
+  phone: (value) =>
+    /^\+?[0-9][0-9 ()-]{4,19}$/.test(value)
+      ? null
+      : "phone must be a phone number, e.g. +1 555 0100",
+  timezone: (value) =>
+    isValidTimezone(value) ? null : "timezone must be an IANA time zone, e.g. Europe/Warsaw",
+  locale: (value) =>
+    isValidLocale(value) ? null : "locale must be a language tag, e.g. en-US",
+  // How S2 and S4 notify the user about tickets they watch (default: in_app)
+  notification_channel: (value) =>
+    NOTIFICATION_CHANNELS.includes(value)
+      ? null
+      : `notification_channel must be one of: ${NOTIFICATION_CHANNELS.join(", ")}`,
+};
+const PROFILE_COLUMNS =
+  "id, email, role, is_active, org_id, display_name, phone, timezone, locale, notification_channel";
+const DIRECTORY_LOOKUP_MAX = 100;
+
+signingKeys.init();
+const authenticate = createAuthenticate(pool, {
+  verifyToken: async (token) => signingKeys.verify(token),
+});
 
 // Ensure table exists (dev/demo only)
 async function init() {
@@ -22,21 +117,816 @@ async function init() {
       role TEXT NOT NULL DEFAULT 'user'
     );
   `);
-  console.log("Users table ready");
+
+  // Account status columns (for existing databases)
+  await pool.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS mfa_secret TEXT,
+    ADD COLUMN IF NOT EXISTS mfa_pending_secret TEXT,
+    ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS mfa_last_step BIGINT;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id SERIAL PRIMARY KEY,
+      name TEXT UNIQUE NOT NULL,
+      email_domain TEXT UNIQUE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Organization membership; cross_org lets staff and admins see every organization
+  await pool.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS org_id INTEGER,
+    ADD COLUMN IF NOT EXISTS cross_org BOOLEAN NOT NULL DEFAULT FALSE;
+  `);
+  await seedDefaultOrg();
+
+  // Profile columns
+  await pool.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS display_name TEXT,
+    ADD COLUMN IF NOT EXISTS phone TEXT,
+    ADD COLUMN IF NOT EXISTS timezone TEXT,
+    ADD COLUMN IF NOT EXISTS locale TEXT,
+    ADD COLUMN IF NOT EXISTS notification_channel TEXT;
+  `);
+
+  // Subject (`sub`) of the account at the OIDC identity provider, once it signed in there
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_subject TEXT;`);
+  await pool
+    .query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_subject ON users(oidc_subject);`
+    )
+    .catch(() => {});
+
+  // OIDC logins between the redirect to the provider and the callback
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS oidc_login_requests (
+      state_hash TEXT PRIMARY KEY,
+      nonce TEXT NOT NULL,
+      code_verifier TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS login_throttle (
+      key TEXT PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      last_failure_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      locked_until TIMESTAMP
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS auth_settings (
+      key TEXT PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by INTEGER,
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      purpose TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS user_audit_log (
+      id SERIAL PRIMARY KEY,
+      actor_id INTEGER NOT NULL,
+      target_user_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      refresh_token_hash TEXT UNIQUE NOT NULL,
+      previous_refresh_token_hash TEXT,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      scopes TEXT[] NOT NULL,
+      created_by INTEGER,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMP,
+      expires_at TIMESTAMP,
+      revoked_at TIMESTAMP
+    );
+  `);
+
+  await pool
+    .query(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);`)
+    .catch(() => {});
+  await pool
+    .query(`CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);`)
+    .catch(() => {});
+
+  await seedAdmin();
+  await seedServiceAccounts();
+
+  console.log("Users and sessions tables ready");
+}
+
+// Accounts created before organizations existed join the default org
+async function seedDefaultOrg() {
+  await pool.query(
+    "INSERT INTO organizations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING",
+    [DEFAULT_ORG_NAME]
+  );
+  const result = await pool.query("SELECT id FROM organizations WHERE name = $1", [
+    DEFAULT_ORG_NAME,
+  ]);
+  defaultOrgId = result.rows[0].id;
+  await pool.query("UPDATE users SET org_id = $1 WHERE org_id IS NULL", [defaultOrgId]);
+}
+
+// Registration only creates `user` accounts, so the first admin comes from env.
+// It manages every organization (cross_org).
+async function seedAdmin() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+  const hash = await bcrypt.hash(ADMIN_PASSWORD, 10);
+  await pool.query(
+    `INSERT INTO users (email, password_hash, role, org_id, cross_org)
+     VALUES ($1, $2, 'admin', $3, TRUE)
+     ON CONFLICT (email) DO UPDATE SET role = 'admin', cross_org = TRUE`,
+    [ADMIN_EMAIL, hash, defaultOrgId]
+  );
+  console.log(`Admin account ${ADMIN_EMAIL} ready`);
+}
+
+// Service accounts for internal calls, with fixed keys shared through env:
+// SERVICE_ACCOUNTS='[{"name":"s4-workflow","scopes":["notifications:write"],"key":"tk_..."}]'
+async function seedServiceAccounts() {
+  if (!process.env.SERVICE_ACCOUNTS) return;
+
+  for (const { name, scopes, key } of JSON.parse(process.env.SERVICE_ACCOUNTS)) {
+    const valid =
+      SERVICE_ACCOUNT_NAME.test(name || "") &&
+      !validateScopes(scopes) &&
+      typeof key === "string" &&
+      key.startsWith(API_KEY_PREFIX);
+    if (!valid) {
+      console.error(`Skipping invalid service account entry "${name}"`);
+      continue;
+    }
+    const account = await ensureServiceAccount(name);
+    if (!account) {
+      console.error(`Skipping service account "${name}": email is taken by a regular user`);
+      continue;
+    }
+    await pool.query(
+      `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes)
+       VALUES ($1, 'bootstrap', $2, $3, $4)
+       ON CONFLICT (key_hash) DO UPDATE SET scopes = EXCLUDED.scopes`,
+      [account.id, key.slice(0, 10), hashToken(key), scopes]
+    );
+    console.log(`Service account ${name} ready`);
+  }
+}
+
+// Middleware for routes that manage the account itself (keys, MFA, admin actions):
+// they need a real login, so a leaked API key cannot escalate or persist itself
+function requireSession(req, res, next) {
+  if (req.user.typ) {
+    return res.status(403).json({ error: "requires an interactive session" });
+  }
+  next();
+}
+
+// Middleware to check admin role against the database, not just the token
+// Sets req.admin = { org_id, cross_org } for the organization checks below
+async function requireAdmin(req, res, next) {
+  if (req.user.typ) {
+    return res.status(403).json({ error: "requires an interactive session" });
+  }
+  try {
+    const result = await pool.query(
+      "SELECT role, is_active, org_id, cross_org FROM users WHERE id = $1",
+      [req.user.sub]
+    );
+    const account = result.rows[0];
+    if (!account || !account.is_active || account.role !== "admin") {
+      return res.status(403).json({ error: "requires admin role" });
+    }
+    req.admin = account;
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "internal error" });
+  }
+  next();
+}
+
+// Middleware (after requireAdmin) for platform-wide settings and organizations
+function requireCrossOrgAdmin(req, res, next) {
+  if (!req.admin.cross_org) {
+    return res.status(403).json({ error: "requires cross-org admin" });
+  }
+  next();
+}
+
+// Accounts only cross-org admins may manage: service accounts and other cross-org
+// accounts, which live in the default organization but serve every organization
+function isPlatformAccount(user) {
+  return user.role === "service" || user.cross_org;
+}
+
+// Middleware (after requireAdmin) for /users/:id routes: admins without cross-org
+// access only manage accounts of their own organization, and no platform accounts
+async function requireManagedUser(req, res, next) {
+  const userId = parseInt(req.params.id);
+  if (isNaN(userId)) return res.status(400).json({ error: "invalid user id" });
+
+  try {
+    const result = await pool.query("SELECT org_id, role, cross_org FROM users WHERE id = $1", [
+      userId,
+    ]);
+    const target = result.rows[0];
+    if (!target || (!req.admin.cross_org && target.org_id !== req.admin.org_id)) {
+      return res.status(404).json({ error: "user not found" });
+    }
+    if (!req.admin.cross_org && isPlatformAccount(target)) {
+      return res.status(403).json({ error: "requires cross-org admin" });
+    }
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "internal error" });
+  }
+  next();
+}
+
+// Short-lived token identifying s1-auth itself on calls to other services
+function signServiceToken() {
+  return signingKeys.sign(
+    {
+      sub: "s1-auth",
+      role: "service",
+      typ: "service",
+      scopes: ["notifications:write"],
+      cross_org: true,
+    },
+    { expiresIn: "5m" }
+  );
+}
+
+// Send an account email through the S6 email channel
+async function sendAccountEmail(user, type, subject, message) {
+  try {
+    const response = await fetch(`${NOTIFICATION_SERVICE_URL}/notify`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${signServiceToken()}`,
+      },
+      body: JSON.stringify({
+        user_id: user.id,
+        user_email: user.email,
+        type,
+        channel: "email",
+        subject,
+        message,
+      }),
+    });
+    if (!response.ok) throw new Error(`notify returned ${response.status}`);
+    console.log(`[Email] Queued ${type} email for user ${user.id}`);
+  } catch (error) {
+    console.error(`Failed to send ${type} email:`, error.message);
+  }
+}
+
+// Issue a single-use token for `purpose`, replacing any unused one
+async function createAuthToken(userId, purpose, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    "DELETE FROM auth_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL",
+    [userId, purpose]
+  );
+  await pool.query(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [userId, purpose, hashToken(token), ttlMinutes]
+  );
+  return token;
+}
+
+// Mark a token as used and return its user id, or null if invalid/expired/used
+async function consumeAuthToken(token, purpose) {
+  const result = await pool.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows.length ? result.rows[0].user_id : null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createAuthToken(
+    user.id,
+    "email_verification",
+    EMAIL_VERIFICATION_TTL_HOURS * 60
+  );
+  await sendAccountEmail(
+    user,
+    "email_verification",
+    "Verify your email address",
+    `Confirm your email address by opening ${APP_URL}/?verify_token=${token} ` +
+      `(valid for ${EMAIL_VERIFICATION_TTL_HOURS} hours).`
+  );
+}
+
+async function logUserChange(actorId, targetUserId, action, oldValue, newValue) {
+  await pool.query(
+    `INSERT INTO user_audit_log (actor_id, target_user_id, action, old_value, new_value)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [actorId, targetUserId, action, oldValue, newValue]
+  );
+}
+
+async function revokeUserSessions(userId) {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  return result.rowCount;
+}
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Returns an error message, or null if scopes is a non-empty list of known scopes
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return "scopes must be a non-empty array";
+  }
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `unknown scopes: ${unknown.join(", ")} (valid: ${API_KEY_SCOPES.join(", ")})`;
+  }
+  return null;
+}
+
+// Create an API key; the plaintext key is only ever returned here
+async function createApiKey(userId, { name, scopes, expiresInDays, createdBy }) {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const result = await pool.query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6,
+             CASE WHEN $7::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $7::int) END)
+     RETURNING ${API_KEY_COLUMNS}`,
+    [userId, name, key.slice(0, 10), hashToken(key), [...new Set(scopes)], createdBy, expiresInDays]
+  );
+  return { ...result.rows[0], key };
+}
+
+// Validate the body of a create-key request; returns an error message or null
+function validateApiKeyRequest(body) {
+  const { name, scopes, expires_in_days } = body;
+  if (!name || typeof name !== "string") return "name is required";
+  if (expires_in_days !== undefined && !(Number.isInteger(expires_in_days) && expires_in_days > 0)) {
+    return "expires_in_days must be a positive integer";
+  }
+  return validateScopes(scopes);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function isValidLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (err) {
+    return false;
+  }
+}
+
+// The organization accounts with this email join once the address is verified
+async function orgForEmail(email) {
+  const domain = email.split("@").pop().toLowerCase();
+  const result = await pool.query(
+    "SELECT id FROM organizations WHERE email_domain = $1",
+    [domain]
+  );
+  return result.rows.length ? result.rows[0].id : defaultOrgId;
+}
+
+// Move a freshly verified account from the default organization to its email domain's.
+// Until then the domain proves nothing: anyone can register an address they do not own.
+async function joinVerifiedOrg(user) {
+  if (user.org_id !== defaultOrgId || user.role === "service" || user.cross_org) return user;
+  const orgId = await orgForEmail(user.email);
+  if (orgId === defaultOrgId) return user;
+
+  const result = await pool.query("UPDATE users SET org_id = $1 WHERE id = $2 RETURNING *", [
+    orgId,
+    user.id,
+  ]);
+  await logUserChange(user.id, user.id, "org_changed", String(defaultOrgId), String(orgId));
+  // Outstanding tokens still carry the old org_id
+  await revokeUserSessions(user.id);
+  return result.rows[0];
+}
+
+// Directory view of an account: names for everyone, contact details only for
+// the account itself, staff and service accounts (which send notifications)
+function directoryEntry(row, viewer) {
+  const entry = {
+    id: row.id,
+    display_name: row.display_name,
+    role: row.role,
+    org_id: row.org_id,
+    is_active: row.is_active,
+    timezone: row.timezone,
+    locale: row.locale,
+  };
+  if (viewer.sub === row.id || ["staff", "admin", "service"].includes(viewer.role)) {
+    entry.email = row.email;
+    entry.phone = row.phone;
+  }
+  return entry;
+}
+
+// Find or create the user row behind a service account; null if the email belongs to a regular user.
+// Service accounts serve every organization.
+async function ensureServiceAccount(name) {
+  const email = `${name}@${SERVICE_ACCOUNT_DOMAIN}`;
+  await pool.query(
+    `INSERT INTO users (email, password_hash, role, email_verified_at, org_id, cross_org)
+     VALUES ($1, $2, 'service', NOW(), $3, TRUE)
+     ON CONFLICT (email) DO UPDATE SET cross_org = TRUE WHERE users.role = 'service'`,
+    [email, DUMMY_PASSWORD_HASH, defaultOrgId]
+  );
+  const result = await pool.query(
+    "SELECT id, email, role, is_active, created_at FROM users WHERE email = $1",
+    [email]
+  );
+  const account = result.rows[0];
+  return account.role === "service" ? account : null;
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function signAccessToken(user, sessionId) {
+  return signingKeys.sign(
+    {
+      sub: user.id,
+      role: user.role,
+      email: user.email,
+      org_id: user.org_id,
+      cross_org: user.cross_org,
+      sid: sessionId,
+    },
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Start a new session and return the token pair for it
+async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken();
+
+  await pool.query(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))`,
+    [
+      sessionId,
+      user.id,
+      hashToken(refreshToken),
+      req.headers["user-agent"] || null,
+      req.ip || null,
+      REFRESH_TOKEN_TTL_DAYS,
+    ]
+  );
+
+  return tokenResponse(user, sessionId, refreshToken);
+}
+
+// Failed logins are tracked per email (known or not) and per client IP
+function loginThrottleKeys(req, email) {
+  return {
+    account: `account:${String(email).trim().toLowerCase()}`,
+    ip: `ip:${req.ip}`,
+  };
+}
+
+// Wait required after n consecutive failures: none, 1s, 2s, 4s ... up to 30s
+function failureDelaySeconds(failures) {
+  return failures < 2 ? 0 : Math.min(2 ** (failures - 2), 30);
+}
+
+// Seconds until another attempt is allowed for these keys (0 = allowed now)
+async function loginRetryAfter(keys) {
+  const result = await pool.query(
+    `SELECT key, failures,
+            EXTRACT(EPOCH FROM (locked_until - NOW())) AS locked_seconds,
+            EXTRACT(EPOCH FROM (NOW() - last_failure_at)) AS since_failure
+     FROM login_throttle
+     WHERE key = ANY($1)`,
+    [[keys.account, keys.ip]]
+  );
+
+  let wait = 0;
+  for (const row of result.rows) {
+    if (row.locked_seconds !== null) {
+      // Locked out (an expired lockout gives a negative wait)
+      wait = Math.max(wait, parseFloat(row.locked_seconds));
+    } else if (row.key === keys.account) {
+      // Delays apply per account; clients behind one IP only share the lockout
+      wait = Math.max(
+        wait,
+        failureDelaySeconds(row.failures) - parseFloat(row.since_failure)
+      );
+    }
+  }
+  return Math.ceil(wait);
+}
+
+async function recordFailure(key, maxFailures) {
+  // The count starts over once the window has passed or a lockout has expired
+  const result = await pool.query(
+    `INSERT INTO login_throttle (key, failures, last_failure_at)
+     VALUES ($1, 1, NOW())
+     ON CONFLICT (key) DO UPDATE SET
+       failures = CASE
+         WHEN login_throttle.last_failure_at < NOW() - make_interval(mins => $2)
+           OR login_throttle.locked_until <= NOW() THEN 1
+         ELSE login_throttle.failures + 1
+       END,
+       locked_until = NULL,
+       last_failure_at = NOW()
+     RETURNING failures`,
+    [key, LOGIN_FAILURE_WINDOW_MINUTES]
+  );
+
+  if (result.rows[0].failures >= maxFailures) {
+    await pool.query(
+      `UPDATE login_throttle SET locked_until = NOW() + make_interval(mins => $2)
+       WHERE key = $1`,
+      [key, LOGIN_LOCKOUT_MINUTES]
+    );
+    console.warn(`[Auth] Login locked for ${key} after ${maxFailures} failures`);
+  }
+}
+
+async function recordLoginFailure(keys) {
+  await recordFailure(keys.account, LOGIN_MAX_FAILURES);
+  await recordFailure(keys.ip, LOGIN_IP_MAX_FAILURES);
+}
+
+async function clearLoginFailures(email) {
+  await pool.query("DELETE FROM login_throttle WHERE key = $1", [
+    `account:${String(email).trim().toLowerCase()}`,
+  ]);
+}
+
+function tooManyAttempts(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: `too many failed login attempts, try again in ${retryAfter}s`,
+    retry_after: retryAfter,
+  });
+}
+
+// Short-lived token proving the password step of a login; only accepted by
+// POST /login/mfa and the enrollment endpoints
+function signMfaToken(user) {
+  return signingKeys.sign(
+    { sub: user.id, role: user.role, email: user.email, typ: "mfa_pending" },
+    { expiresIn: MFA_TOKEN_TTL }
+  );
+}
+
+async function getMfaRequiredRoles() {
+  const result = await pool.query(
+    "SELECT value FROM auth_settings WHERE key = 'mfa_policy'"
+  );
+  return result.rows.length ? result.rows[0].value.required_roles : [];
+}
+
+// Check a TOTP code, rejecting codes from a time step that was already used
+async function verifyMfaCode(user, code) {
+  const step = totp.verify(user.mfa_secret, code);
+  if (step === null) return false;
+
+  const result = await pool.query(
+    `UPDATE users SET mfa_last_step = $1
+     WHERE id = $2 AND (mfa_last_step IS NULL OR mfa_last_step < $1)
+     RETURNING id`,
+    [step, user.id]
+  );
+  return result.rows.length > 0;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^0-9a-f]/g, "");
+}
+
+// Replace all recovery codes of a user and return the new plaintext codes
+async function replaceRecoveryCodes(userId) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const hex = crypto.randomBytes(5).toString("hex");
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+
+  await pool.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [userId]);
+  for (const code of codes) {
+    await pool.query(
+      "INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)",
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+}
+
+async function consumeRecoveryCode(userId, code) {
+  const result = await pool.query(
+    `UPDATE mfa_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0;
+}
+
+async function clearMfa(userId) {
+  await pool.query(
+    `UPDATE users
+     SET mfa_secret = NULL, mfa_pending_secret = NULL, mfa_enabled_at = NULL, mfa_last_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await pool.query("DELETE FROM mfa_recovery_codes WHERE user_id = $1", [userId]);
+}
+
+// Enrollment accepts a normal access token, or the mfa_pending token of a
+// login that the MFA policy stopped until the account enrolls
+function authenticateEnrollment(req, res, next) {
+  const [, token] = (req.headers.authorization || "").split(" ");
+  try {
+    const payload = signingKeys.verify(token);
+    if (payload.typ === "mfa_pending") {
+      req.user = payload;
+      req.mfaPending = true;
+      return next();
+    }
+  } catch (err) {
+    // Fall through to the regular checks and their error responses
+  }
+  return authenticate(req, res, () => requireSession(req, res, next));
+}
+
+function tokenResponse(user, sessionId, refreshToken) {
+  const token = signAccessToken(user, sessionId);
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+  };
+}
+
+// Finish a login whose first factor passed (password or identity provider):
+// ask for the MFA step if the account or the policy needs it, else start a session
+async function startLogin(user, req) {
+  if (user.mfa_enabled_at) {
+    return { mfa_required: true, mfa_token: signMfaToken(user) };
+  }
+  if ((await getMfaRequiredRoles()).includes(user.role)) {
+    return { mfa_enrollment_required: true, mfa_token: signMfaToken(user) };
+  }
+  return createSession(user, req);
+}
+
+// Find the account behind verified ID token claims, linking or creating it:
+// by subject, then by email (only if the provider verified it), else a new account
+// without a usable password. Returns { user } or { error, status }.
+async function findOrProvisionOidcUser(claims) {
+  const bySubject = await pool.query("SELECT * FROM users WHERE oidc_subject = $1", [
+    claims.sub,
+  ]);
+  if (bySubject.rows.length) return { user: bySubject.rows[0] };
+
+  const email = claims.email;
+  if (!email) {
+    return { error: "identity provider did not return an email", status: 400 };
+  }
+  if (email.toLowerCase().endsWith(`@${SERVICE_ACCOUNT_DOMAIN}`)) {
+    return { error: "email domain is reserved for service accounts", status: 400 };
+  }
+
+  const byEmail = await pool.query("SELECT * FROM users WHERE LOWER(email) = LOWER($1)", [
+    email,
+  ]);
+  const existing = byEmail.rows[0];
+  if (existing) {
+    if (claims.email_verified !== true || existing.oidc_subject || existing.role === "service") {
+      return { error: "an account with this email already exists", status: 409 };
+    }
+    const linked = await pool.query(
+      `UPDATE users SET oidc_subject = $1,
+         email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $2 RETURNING *`,
+      [claims.sub, existing.id]
+    );
+    await logUserChange(existing.id, existing.id, "sso_linked", null, claims.sub);
+    return {
+      user: existing.email_verified_at ? linked.rows[0] : await joinVerifiedOrg(linked.rows[0]),
+    };
+  }
+
+  const created = await pool.query(
+    `INSERT INTO users (email, password_hash, org_id, oidc_subject, display_name, email_verified_at)
+     VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::boolean THEN NOW() END)
+     RETURNING *`,
+    [
+      email,
+      DUMMY_PASSWORD_HASH,
+      claims.email_verified === true ? await orgForEmail(email) : defaultOrgId,
+      claims.sub,
+      typeof claims.name === "string" ? claims.name.slice(0, 100) : null,
+      claims.email_verified === true,
+    ]
+  );
+  const user = created.rows[0];
+  await logUserChange(user.id, user.id, "sso_provisioned", null, claims.sub);
+  return { user };
 }
 
 app.post("/register", async (req, res) => {
   try {
-    const { email, password, role } = req.body;
+    const { email, password } = req.body;
     if (!email || !password) {
       return res.status(400).json({ error: "email and password are required" });
     }
+    if (email.toLowerCase().endsWith(`@${SERVICE_ACCOUNT_DOMAIN}`)) {
+      return res.status(400).json({ error: "email domain is reserved for service accounts" });
+    }
 
+    // The account joins its email domain's organization once the address is verified
     const hash = await bcrypt.hash(password, 10);
     const result = await pool.query(
-      "INSERT INTO users (email, password_hash, role) VALUES ($1, $2, $3) RETURNING id, email, role",
-      [email, hash, role || "user"]
+      `INSERT INTO users (email, password_hash, org_id) VALUES ($1, $2, $3)
+       RETURNING id, email, role, org_id`,
+      [email, hash, defaultOrgId]
     );
+    await sendVerificationEmail(result.rows[0]);
     res.status(201).json(result.rows[0]);
   } catch (err) {
     console.error(err);
@@ -53,39 +943,1239 @@ app.post("/login", async (req, res) => {
     if (!email || !password)
       return res.status(400).json({ error: "email and password are required" });
 
+    const keys = loginThrottleKeys(req, email);
+    const retryAfter = await loginRetryAfter(keys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
     const result = await pool.query(
       "SELECT * FROM users WHERE email = $1",
       [email]
     );
     const user = result.rows[0];
-    if (!user) return res.status(401).json({ error: "invalid credentials" });
 
-    const ok = await bcrypt.compare(password, user.password_hash);
-    if (!ok) return res.status(401).json({ error: "invalid credentials" });
-
-    const token = jwt.sign(
-      { sub: user.id, role: user.role, email: user.email },
-      JWT_SECRET,
-      { expiresIn: "1h" }
+    // Unknown emails run bcrypt too, so response time does not reveal accounts
+    const ok = await bcrypt.compare(
+      password,
+      user ? user.password_hash : DUMMY_PASSWORD_HASH
     );
-    res.json({ token });
+    if (!user || !ok) {
+      await recordLoginFailure(keys);
+      return res.status(401).json({ error: "invalid credentials" });
+    }
+    await clearLoginFailures(email);
+
+    if (!user.is_active)
+      return res.status(403).json({ error: "account deactivated" });
+
+    res.json(await startLogin(user, req));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// simple whoami endpoint for testing JWT
-app.get("/me", async (req, res) => {
+// POST /login/mfa - Second login step: trade the mfa_token for a session
+app.post("/login/mfa", async (req, res) => {
+  try {
+    const { mfa_token, code, recovery_code } = req.body;
+    if (!mfa_token || (!code && !recovery_code)) {
+      return res
+        .status(400)
+        .json({ error: "mfa_token and code (or recovery_code) are required" });
+    }
+
+    let payload;
+    try {
+      payload = signingKeys.verify(mfa_token);
+    } catch (err) {
+      return res.status(401).json({ error: "invalid mfa token" });
+    }
+    if (payload.typ !== "mfa_pending")
+      return res.status(401).json({ error: "invalid mfa token" });
+
+    // Codes are short, so wrong ones count against the same limits as passwords
+    const keys = loginThrottleKeys(req, payload.email);
+    const retryAfter = await loginRetryAfter(keys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [
+      payload.sub,
+    ]);
+    const user = result.rows[0];
+    if (!user || !user.is_active || !user.mfa_enabled_at)
+      return res.status(401).json({ error: "invalid mfa token" });
+
+    const ok = code
+      ? await verifyMfaCode(user, code)
+      : await consumeRecoveryCode(user.id, recovery_code);
+    if (!ok) {
+      await recordLoginFailure(keys);
+      return res.status(401).json({ error: "invalid code" });
+    }
+    await clearLoginFailures(user.email);
+
+    res.json(await createSession(user, req));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /oidc/config - Whether single sign-on is available (for the login page)
+app.get("/oidc/config", (req, res) => {
+  res.json({ enabled: oidc.isEnabled() });
+});
+
+// POST /oidc/authorize - Start a single sign-on login; the client opens authorization_url.
+// State, nonce and PKCE verifier stay here until the provider redirects back.
+app.post("/oidc/authorize", async (req, res) => {
   try {
-    const auth = req.headers.authorization || "";
-    const [, token] = auth.split(" ");
-    if (!token) return res.status(401).json({ error: "missing token" });
+    if (!oidc.isEnabled()) {
+      return res.status(404).json({ error: "single sign-on is not configured" });
+    }
+
+    const request = oidc.createLoginRequest();
+    const authorizationUrl = await oidc.authorizationUrl(request);
+
+    await pool.query("DELETE FROM oidc_login_requests WHERE expires_at < NOW()");
+    await pool.query(
+      `INSERT INTO oidc_login_requests (state_hash, nonce, code_verifier, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+      [hashToken(request.state), request.nonce, request.codeVerifier, OIDC_LOGIN_TTL_MINUTES]
+    );
 
-    const payload = jwt.verify(token, JWT_SECRET);
-    res.json({ user: payload });
+    res.json({ authorization_url: authorizationUrl });
   } catch (err) {
-    return res.status(401).json({ error: "invalid token" });
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /oidc/callback - Finish a single sign-on login ({ code, state } from the redirect).
+// Provisions the account on first sign-in and syncs its role from the provider's groups,
+// then answers like POST /login.
+app.post("/oidc/callback", async (req, res) => {
+  try {
+    const { code, state } = req.body;
+    if (!code || !state) {
+      return res.status(400).json({ error: "code and state are required" });
+    }
+    if (!oidc.isEnabled()) {
+      return res.status(404).json({ error: "single sign-on is not configured" });
+    }
+
+    // Each login request can be completed once
+    const request = await pool.query(
+      `DELETE FROM oidc_login_requests
+       WHERE state_hash = $1 AND expires_at > NOW()
+       RETURNING nonce, code_verifier`,
+      [hashToken(state)]
+    );
+    if (request.rows.length === 0) {
+      return res.status(400).json({ error: "invalid or expired login request" });
+    }
+    const { nonce, code_verifier } = request.rows[0];
+
+    let claims;
+    try {
+      claims = await oidc.completeLogin(code, code_verifier, nonce);
+    } catch (err) {
+      console.error("[OIDC] Login failed:", err.message);
+      return res.status(401).json({ error: "identity provider login failed" });
+    }
+
+    const { user, error, status } = await findOrProvisionOidcUser(claims);
+    if (error) return res.status(status).json({ error });
+
+    if (!user.is_active)
+      return res.status(403).json({ error: "account deactivated" });
+
+    // The provider's groups decide the role on every sign-in
+    const role = oidc.roleForGroups(claims[oidc.GROUPS_CLAIM]);
+    if (user.role !== role) {
+      await pool.query(
+        "UPDATE users SET role = $1, cross_org = cross_org AND $1 <> 'user' WHERE id = $2",
+        [role, user.id]
+      );
+      await logUserChange(user.id, user.id, "role_synced", user.role, role);
+      await revokeUserSessions(user.id);
+      user.cross_org = user.cross_org && role !== "user";
+      user.role = role;
+    }
+
+    res.json(await startLogin(user, req));
+  } catch (err) {
+    console.error(err);
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "an account with this email already exists" });
+    }
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the refresh token is rotated)
+app.post("/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token)
+      return res.status(400).json({ error: "refresh_token is required" });
+
+    const refreshTokenHash = hashToken(refresh_token);
+
+    // A token that was already rotated is being used again, so someone else has a copy
+    // of it: end the session rather than let either party carry on
+    const replayed = await pool.query(
+      `UPDATE sessions SET revoked_at = NOW()
+       WHERE previous_refresh_token_hash = $1 AND revoked_at IS NULL`,
+      [refreshTokenHash]
+    );
+    if (replayed.rowCount > 0)
+      return res.status(401).json({ error: "refresh token reused; session revoked" });
+
+    const result = await pool.query(
+      `SELECT s.id AS session_id, u.id, u.email, u.role, u.org_id, u.cross_org
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.refresh_token_hash = $1
+         AND s.revoked_at IS NULL
+         AND u.is_active
+         AND s.expires_at > NOW()`,
+      [refreshTokenHash]
+    );
+    const session = result.rows[0];
+    if (!session)
+      return res.status(401).json({ error: "invalid refresh token" });
+
+    // Only one of two concurrent refreshes with the same token gets to rotate it
+    const nextRefreshToken = generateRefreshToken();
+    const rotated = await pool.query(
+      `UPDATE sessions
+       SET refresh_token_hash = $1, previous_refresh_token_hash = $2, last_used_at = NOW()
+       WHERE id = $3 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+      [hashToken(nextRefreshToken), refreshTokenHash, session.session_id]
+    );
+    if (rotated.rowCount === 0)
+      return res.status(401).json({ error: "invalid refresh token" });
+
+    res.json(tokenResponse(session, session.session_id, nextRefreshToken));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// Revoke a single session, identified by its refresh token
+app.post("/logout", async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token)
+      return res.status(400).json({ error: "refresh_token is required" });
+
+    await pool.query(
+      `UPDATE sessions SET revoked_at = NOW()
+       WHERE refresh_token_hash = $1 AND revoked_at IS NULL`,
+      [hashToken(refresh_token)]
+    );
+    res.json({ message: "logged out" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// Revoke every session of the current user (e.g. after a stolen token)
+app.post("/logout-all", authenticate, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.sub);
+    res.json({ message: "all sessions revoked", revoked });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// simple whoami endpoint for testing JWT
+app.get("/me", authenticate, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// GET /profile - Profile of the current user
+app.get("/profile", authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.role, u.is_active, u.org_id, o.name AS org_name,
+              u.display_name, u.phone, u.timezone, u.locale, u.notification_channel
+       FROM users u
+       LEFT JOIN organizations o ON o.id = u.org_id
+       WHERE u.id = $1`,
+      [req.user.sub]
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: "user not found" });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PATCH /profile - Update display name, phone, timezone, locale or notification channel
+// Send a field as null (or "") to clear it
+app.patch("/profile", authenticate, requireSession, async (req, res) => {
+  try {
+    const updates = [];
+    const values = [];
+
+    for (const [field, validate] of Object.entries(PROFILE_FIELDS)) {
+      if (req.body[field] === undefined) continue;
+
+      let value = req.body[field];
+      if (value !== null && typeof value !== "string") {
+        return res.status(400).json({ error: `${field} must be a string or null` });
+      }
+      value = value === null ? "" : value.trim();
+      if (value) {
+        const error = validate(value);
+        if (error) return res.status(400).json({ error });
+      }
+
+      values.push(value || null);
+      updates.push(`${field} = $${values.length}`);
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({
+        error: `nothing to update (fields: ${Object.keys(PROFILE_FIELDS).join(", ")})`,
+      });
+    }
+
+    values.push(req.user.sub);
+    const result = await pool.query(
+      `UPDATE users SET ${updates.join(", ")} WHERE id = $${values.length}
+       RETURNING ${PROFILE_COLUMNS}`,
+      values
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /users/lookup - Directory entries for many accounts at once ({ ids: [1, 2] })
+// Unknown ids and accounts of other organizations are left out of the result
+app.post("/users/lookup", authenticate, requireScope("users:read"), async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || !ids.every(Number.isInteger)) {
+      return res.status(400).json({ error: "ids must be an array of user ids" });
+    }
+    if (ids.length > DIRECTORY_LOOKUP_MAX) {
+      return res
+        .status(400)
+        .json({ error: `at most ${DIRECTORY_LOOKUP_MAX} ids per lookup` });
+    }
+
+    const result = await pool.query(
+      `SELECT ${PROFILE_COLUMNS} FROM users
+       WHERE id = ANY($1::int[]) AND ($2::int IS NULL OR org_id = $2)
+       ORDER BY id`,
+      [[...new Set(ids)], orgScope(req.user)]
+    );
+    res.json({ users: result.rows.map((row) => directoryEntry(row, req.user)) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /users/:id - Directory entry of one account
+app.get("/users/:id", authenticate, requireScope("users:read"), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) return res.status(400).json({ error: "invalid user id" });
+
+    const result = await pool.query(
+      `SELECT ${PROFILE_COLUMNS} FROM users
+       WHERE id = $1 AND ($2::int IS NULL OR org_id = $2)`,
+      [userId, orgScope(req.user)]
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: "user not found" });
+    res.json(directoryEntry(result.rows[0], req.user));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /password/forgot - Email a password reset link
+// Always answers the same way so it cannot be used to probe for accounts
+app.post("/password/forgot", async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: "email is required" });
+
+    // Accounts linked to the identity provider sign in there, not with a local password
+    const result = await pool.query(
+      "SELECT id, email FROM users WHERE email = $1 AND is_active AND oidc_subject IS NULL",
+      [email]
+    );
+    const user = result.rows[0];
+
+    if (user) {
+      const token = await createAuthToken(
+        user.id,
+        "password_reset",
+        PASSWORD_RESET_TTL_MINUTES
+      );
+      await sendAccountEmail(
+        user,
+        "password_reset",
+        "Reset your password",
+        `Reset your password by opening ${APP_URL}/?reset_token=${token} ` +
+          `(valid for ${PASSWORD_RESET_TTL_MINUTES} minutes). ` +
+          "If you did not request this, you can ignore this email."
+      );
+    }
+
+    res.json({ message: "if the account exists, a reset email has been sent" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /password/reset - Set a new password with a reset token
+app.post("/password/reset", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password)
+      return res.status(400).json({ error: "token and password are required" });
+
+    const userId = await consumeAuthToken(token, "password_reset");
+    if (!userId)
+      return res.status(400).json({ error: "invalid or expired token" });
+
+    const hash = await bcrypt.hash(password, 10);
+    await pool.query("UPDATE users SET password_hash = $1 WHERE id = $2", [
+      hash,
+      userId,
+    ]);
+    // Whoever had the old password must not keep a session
+    await revokeUserSessions(userId);
+
+    res.json({ message: "password updated" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /verify-email - Confirm an email address with a verification token
+app.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: "token is required" });
+
+    const userId = await consumeAuthToken(token, "email_verification");
+    if (!userId)
+      return res.status(400).json({ error: "invalid or expired token" });
+
+    const before = await pool.query("SELECT email_verified_at FROM users WHERE id = $1", [userId]);
+    const result = await pool.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1
+       RETURNING *`,
+      [userId]
+    );
+    const user = before.rows[0].email_verified_at
+      ? result.rows[0]
+      : await joinVerifiedOrg(result.rows[0]);
+    res.json({
+      id: user.id,
+      email: user.email,
+      email_verified_at: user.email_verified_at,
+      org_id: user.org_id,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /verify-email/resend - Send a new verification link to the current user
+app.post("/verify-email/resend", authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT id, email, email_verified_at FROM users WHERE id = $1",
+      [req.user.sub]
+    );
+    const user = result.rows[0];
+    if (!user) return res.status(404).json({ error: "user not found" });
+    if (user.email_verified_at)
+      return res.status(409).json({ error: "email already verified" });
+
+    await sendVerificationEmail(user);
+    res.json({ message: "verification email sent" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /mfa - MFA status of the current user
+app.get("/mfa", authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.mfa_enabled_at,
+              (SELECT COUNT(*) FROM mfa_recovery_codes c
+               WHERE c.user_id = u.id AND c.used_at IS NULL) AS recovery_codes_remaining
+       FROM users u WHERE u.id = $1`,
+      [req.user.sub]
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: "user not found" });
+
+    const status = result.rows[0];
+    res.json({
+      enabled: status.mfa_enabled_at !== null,
+      enabled_at: status.mfa_enabled_at,
+      recovery_codes_remaining: parseInt(status.recovery_codes_remaining),
+      required: (await getMfaRequiredRoles()).includes(req.user.role),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /mfa/enroll - Start enrollment: returns a new secret and otpauth URI
+app.post("/mfa/enroll", authenticateEnrollment, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT id, email, mfa_enabled_at FROM users WHERE id = $1",
+      [req.user.sub]
+    );
+    const user = result.rows[0];
+    if (!user) return res.status(404).json({ error: "user not found" });
+    if (user.mfa_enabled_at)
+      return res.status(409).json({ error: "mfa already enabled" });
+
+    const secret = totp.generateSecret();
+    await pool.query("UPDATE users SET mfa_pending_secret = $1 WHERE id = $2", [
+      secret,
+      user.id,
+    ]);
+
+    res.json({
+      secret,
+      otpauth_uri: totp.otpauthUri(secret, user.email, MFA_ISSUER),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /mfa/activate - Finish enrollment with a code from the authenticator app
+// Returns the recovery codes (shown once) and, during a login, the session tokens
+app.post("/mfa/activate", authenticateEnrollment, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: "code is required" });
+
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [
+      req.user.sub,
+    ]);
+    const user = result.rows[0];
+    if (!user) return res.status(404).json({ error: "user not found" });
+    if (req.mfaPending && !user.is_active)
+      return res.status(403).json({ error: "account deactivated" });
+    if (user.mfa_enabled_at)
+      return res.status(409).json({ error: "mfa already enabled" });
+    if (!user.mfa_pending_secret)
+      return res.status(400).json({ error: "start enrollment with POST /mfa/enroll" });
+
+    const step = totp.verify(user.mfa_pending_secret, code);
+    if (step === null) return res.status(400).json({ error: "invalid code" });
+
+    await pool.query(
+      `UPDATE users
+       SET mfa_secret = mfa_pending_secret, mfa_pending_secret = NULL,
+           mfa_enabled_at = NOW(), mfa_last_step = $1
+       WHERE id = $2`,
+      [step, user.id]
+    );
+    const response = { recovery_codes: await replaceRecoveryCodes(user.id) };
+
+    if (req.mfaPending) {
+      Object.assign(response, await createSession(user, req));
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /mfa/recovery-codes - Replace the recovery codes (requires a current code)
+app.post("/mfa/recovery-codes", authenticate, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: "code is required" });
+
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [
+      req.user.sub,
+    ]);
+    const user = result.rows[0];
+    if (!user || !user.mfa_enabled_at)
+      return res.status(400).json({ error: "mfa is not enabled" });
+    if (!(await verifyMfaCode(user, code)))
+      return res.status(400).json({ error: "invalid code" });
+
+    res.json({ recovery_codes: await replaceRecoveryCodes(user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /mfa/disable - Turn MFA off (requires a current code, not allowed by policy for some roles)
+app.post("/mfa/disable", authenticate, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: "code is required" });
+
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [
+      req.user.sub,
+    ]);
+    const user = result.rows[0];
+    if (!user || !user.mfa_enabled_at)
+      return res.status(400).json({ error: "mfa is not enabled" });
+    if ((await getMfaRequiredRoles()).includes(user.role))
+      return res.status(403).json({ error: `mfa is required for role ${user.role}` });
+    if (!(await verifyMfaCode(user, code)))
+      return res.status(400).json({ error: "invalid code" });
+
+    await clearMfa(user.id);
+    res.json({ message: "mfa disabled" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /policy/mfa - Roles that must use MFA (admin only)
+app.get("/policy/mfa", authenticate, requireAdmin, async (req, res) => {
+  try {
+    res.json({ required_roles: await getMfaRequiredRoles() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PUT /policy/mfa - Set the roles that must use MFA (cross-org admin only)
+app.put("/policy/mfa", authenticate, requireAdmin, requireCrossOrgAdmin, async (req, res) => {
+  try {
+    const { required_roles } = req.body;
+    if (
+      !Array.isArray(required_roles) ||
+      !required_roles.every((role) => VALID_ROLES.includes(role))
+    ) {
+      return res.status(400).json({
+        error: `required_roles must be an array of: ${VALID_ROLES.join(", ")}`,
+      });
+    }
+
+    await pool.query(
+      `INSERT INTO auth_settings (key, value, updated_by, updated_at)
+       VALUES ('mfa_policy', $1, $2, NOW())
+       ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+      [JSON.stringify({ required_roles }), req.user.sub]
+    );
+    res.json({ required_roles });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /users - List accounts (admin only; cross-org admins see every organization)
+app.get("/users", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { role, active } = req.query;
+    const conditions = [];
+    const values = [];
+
+    const orgId = req.admin.cross_org ? req.query.org_id : req.admin.org_id;
+    if (orgId !== undefined) {
+      const parsedOrgId = parseInt(orgId);
+      if (isNaN(parsedOrgId))
+        return res.status(400).json({ error: "invalid org_id" });
+      values.push(parsedOrgId);
+      conditions.push(`org_id = $${values.length}`);
+    }
+    if (role) {
+      values.push(role);
+      conditions.push(`role = $${values.length}`);
+    }
+    if (active !== undefined) {
+      values.push(active === "true");
+      conditions.push(`is_active = $${values.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT id, email, display_name, role, org_id, cross_org, is_active,
+              email_verified_at, created_at, deactivated_at
+       FROM users
+       ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY id`,
+      values
+    );
+    res.json({ users: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PATCH /users/:id/role - Change an account's role (admin only)
+app.patch("/users/:id/role", authenticate, requireAdmin, requireManagedUser, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (isNaN(userId)) return res.status(400).json({ error: "invalid user id" });
+    if (!role || !VALID_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `role must be one of: ${VALID_ROLES.join(", ")}` });
+    }
+    if (userId === req.user.sub)
+      return res.status(400).json({ error: "cannot change your own role" });
+
+    const current = await pool.query("SELECT role FROM users WHERE id = $1", [
+      userId,
+    ]);
+    if (current.rows.length === 0)
+      return res.status(404).json({ error: "user not found" });
+
+    const oldRole = current.rows[0].role;
+    if (oldRole === "service")
+      return res.status(400).json({ error: "cannot change the role of a service account" });
+    // Cross-org access only means something for staff and admins
+    const result = await pool.query(
+      `UPDATE users SET role = $1, cross_org = cross_org AND $1 <> 'user' WHERE id = $2
+       RETURNING id, email, role, org_id, cross_org, is_active, created_at, deactivated_at`,
+      [role, userId]
+    );
+
+    if (oldRole !== role) {
+      await logUserChange(req.user.sub, userId, "role_changed", oldRole, role);
+      // Outstanding tokens still carry the old role
+      await revokeUserSessions(userId);
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PATCH /users/:id/org - Move an account to another organization (cross-org admin only)
+app.patch(
+  "/users/:id/org",
+  authenticate,
+  requireAdmin,
+  requireCrossOrgAdmin,
+  requireManagedUser,
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+      const { org_id } = req.body;
+      if (!Number.isInteger(org_id))
+        return res.status(400).json({ error: "org_id is required" });
+
+      const org = await pool.query("SELECT id FROM organizations WHERE id = $1", [org_id]);
+      if (org.rows.length === 0)
+        return res.status(404).json({ error: "organization not found" });
+
+      const current = await pool.query("SELECT org_id FROM users WHERE id = $1", [userId]);
+      const oldOrgId = current.rows[0].org_id;
+      const result = await pool.query(
+        `UPDATE users SET org_id = $1 WHERE id = $2
+         RETURNING id, email, role, org_id, cross_org, is_active`,
+        [org_id, userId]
+      );
+
+      if (oldOrgId !== org_id) {
+        await logUserChange(req.user.sub, userId, "org_changed", String(oldOrgId), String(org_id));
+        // Outstanding tokens still carry the old org_id
+        await revokeUserSessions(userId);
+      }
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  }
+);
+
+// PATCH /users/:id/cross-org - Grant or revoke access to every organization
+// for a staff or admin account (cross-org admin only)
+app.patch(
+  "/users/:id/cross-org",
+  authenticate,
+  requireAdmin,
+  requireCrossOrgAdmin,
+  requireManagedUser,
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+      const { cross_org } = req.body;
+      if (typeof cross_org !== "boolean")
+        return res.status(400).json({ error: "cross_org must be true or false" });
+      if (userId === req.user.sub)
+        return res.status(400).json({ error: "cannot change your own cross-org access" });
+
+      const current = await pool.query("SELECT role, cross_org FROM users WHERE id = $1", [
+        userId,
+      ]);
+      const target = current.rows[0];
+      if (cross_org && !["staff", "admin"].includes(target.role))
+        return res.status(400).json({ error: "only staff and admins can have cross-org access" });
+
+      const result = await pool.query(
+        `UPDATE users SET cross_org = $1 WHERE id = $2
+         RETURNING id, email, role, org_id, cross_org, is_active`,
+        [cross_org, userId]
+      );
+
+      if (target.cross_org !== cross_org) {
+        await logUserChange(
+          req.user.sub,
+          userId,
+          "cross_org_changed",
+          String(target.cross_org),
+          String(cross_org)
+        );
+        await revokeUserSessions(userId);
+      }
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  }
+);
+
+// POST /users/:id/deactivate and /users/:id/reactivate (admin only)
+function setActive(isActive) {
+  return async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+      if (isNaN(userId)) return res.status(400).json({ error: "invalid user id" });
+      if (userId === req.user.sub)
+        return res.status(400).json({ error: "cannot change your own account status" });
+
+      const result = await pool.query(
+        `UPDATE users
+         SET is_active = $1, deactivated_at = CASE WHEN $1 THEN NULL ELSE NOW() END
+         WHERE id = $2 AND is_active = NOT $1
+         RETURNING id, email, role, is_active, created_at, deactivated_at`,
+        [isActive, userId]
+      );
+
+      if (result.rows.length === 0) {
+        const exists = await pool.query("SELECT id FROM users WHERE id = $1", [userId]);
+        if (exists.rows.length === 0)
+          return res.status(404).json({ error: "user not found" });
+        return res.status(409).json({
+          error: isActive ? "user is already active" : "user is already deactivated",
+        });
+      }
+
+      await logUserChange(
+        req.user.sub,
+        userId,
+        isActive ? "reactivated" : "deactivated",
+        String(!isActive),
+        String(isActive)
+      );
+      if (!isActive) await revokeUserSessions(userId);
+
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  };
+}
+
+app.post("/users/:id/deactivate", authenticate, requireAdmin, requireManagedUser, setActive(false));
+app.post("/users/:id/reactivate", authenticate, requireAdmin, requireManagedUser, setActive(true));
+
+// POST /users/:id/mfa/reset - Remove MFA from an account that lost its device (admin only)
+app.post("/users/:id/mfa/reset", authenticate, requireAdmin, requireManagedUser, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) return res.status(400).json({ error: "invalid user id" });
+
+    const result = await pool.query(
+      "SELECT id, mfa_enabled_at FROM users WHERE id = $1",
+      [userId]
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: "user not found" });
+    if (!result.rows[0].mfa_enabled_at)
+      return res.status(409).json({ error: "mfa is not enabled" });
+
+    await clearMfa(userId);
+    await revokeUserSessions(userId);
+    await logUserChange(req.user.sub, userId, "mfa_reset", "enabled", null);
+
+    res.json({ message: "mfa reset" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /users/:id/unlock - Clear failed login attempts and lockout (admin only)
+app.post("/users/:id/unlock", authenticate, requireAdmin, requireManagedUser, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) return res.status(400).json({ error: "invalid user id" });
+
+    const result = await pool.query("SELECT email FROM users WHERE id = $1", [
+      userId,
+    ]);
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: "user not found" });
+
+    await clearLoginFailures(result.rows[0].email);
+    await logUserChange(req.user.sub, userId, "unlocked", null, null);
+
+    res.json({ message: "account unlocked" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /users/:id/audit - Audit trail of admin changes to an account (admin only)
+app.get("/users/:id/audit", authenticate, requireAdmin, requireManagedUser, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) return res.status(400).json({ error: "invalid user id" });
+
+    const result = await pool.query(
+      `SELECT id, actor_id, target_user_id, action, old_value, new_value, created_at
+       FROM user_audit_log
+       WHERE target_user_id = $1
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+    res.json({ audit: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /api-keys - Create a personal API key for the current user
+// The key is shown once; it acts as the user, limited to the given scopes
+app.post("/api-keys", authenticate, requireSession, async (req, res) => {
+  try {
+    const error = validateApiKeyRequest(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const apiKey = await createApiKey(req.user.sub, {
+      name: req.body.name,
+      scopes: req.body.scopes,
+      expiresInDays: req.body.expires_in_days,
+      createdBy: req.user.sub,
+    });
+    res.status(201).json(apiKey);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /api-keys - API keys of the current user (without the secret)
+app.get("/api-keys", authenticate, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+      [req.user.sub]
+    );
+    res.json({ api_keys: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// DELETE /api-keys/:id - Revoke a key (own keys, or any key in their organization for admins)
+app.delete("/api-keys/:id", authenticate, requireSession, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.id);
+    if (isNaN(keyId)) return res.status(400).json({ error: "invalid api key id" });
+
+    const [keyResult, actorResult] = await Promise.all([
+      pool.query(
+        `SELECT k.user_id, k.name, k.key_prefix, k.revoked_at, u.org_id, u.role, u.cross_org
+         FROM api_keys k JOIN users u ON u.id = k.user_id
+         WHERE k.id = $1`,
+        [keyId]
+      ),
+      pool.query("SELECT role, org_id, cross_org FROM users WHERE id = $1", [req.user.sub]),
+    ]);
+    const apiKey = keyResult.rows[0];
+    const actor = actorResult.rows[0];
+    // Admins manage keys within their organization (or all of them with cross-org access);
+    // keys of service accounts and cross-org accounts only with cross-org access
+    const canManage =
+      apiKey &&
+      (apiKey.user_id === req.user.sub ||
+        (actor?.role === "admin" &&
+          (actor.cross_org ||
+            (actor.org_id === apiKey.org_id && !isPlatformAccount(apiKey)))));
+    if (!canManage)
+      return res.status(404).json({ error: "api key not found" });
+    if (apiKey.revoked_at)
+      return res.status(409).json({ error: "api key is already revoked" });
+
+    const result = await pool.query(
+      `UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 RETURNING ${API_KEY_COLUMNS}`,
+      [keyId]
+    );
+    if (apiKey.user_id !== req.user.sub) {
+      await logUserChange(
+        req.user.sub,
+        apiKey.user_id,
+        "api_key_revoked",
+        `${apiKey.name} (${apiKey.key_prefix})`,
+        null
+      );
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /users/:id/api-keys - API keys of any account (admin only)
+app.get("/users/:id/api-keys", authenticate, requireAdmin, requireManagedUser, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) return res.status(400).json({ error: "invalid user id" });
+
+    const result = await pool.query(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+      [userId]
+    );
+    res.json({ api_keys: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /service-accounts - Service accounts and their active key count (cross-org admin only)
+app.get("/service-accounts", authenticate, requireAdmin, requireCrossOrgAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.email, u.is_active, u.created_at, u.deactivated_at,
+              COUNT(k.id)::int AS active_keys
+       FROM users u
+       LEFT JOIN api_keys k ON k.user_id = u.id AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > NOW())
+       WHERE u.role = 'service'
+       GROUP BY u.id
+       ORDER BY u.id`
+    );
+    res.json({ service_accounts: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /service-accounts - Create a service account and its first API key (cross-org admin only)
+app.post("/service-accounts", authenticate, requireAdmin, requireCrossOrgAdmin, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!SERVICE_ACCOUNT_NAME.test(name || "")) {
+      return res.status(400).json({
+        error: "name must be 2-63 lowercase letters, digits or dashes",
+      });
+    }
+    const error = validateScopes(req.body.scopes);
+    if (error) return res.status(400).json({ error });
+
+    const existing = await pool.query("SELECT id FROM users WHERE email = $1", [
+      `${name}@${SERVICE_ACCOUNT_DOMAIN}`,
+    ]);
+    if (existing.rows.length > 0)
+      return res.status(409).json({ error: "service account already exists" });
+
+    const account = await ensureServiceAccount(name);
+    const apiKey = await createApiKey(account.id, {
+      name: "initial",
+      scopes: req.body.scopes,
+      createdBy: req.user.sub,
+    });
+    await logUserChange(req.user.sub, account.id, "service_account_created", null, name);
+
+    res.status(201).json({ account, api_key: apiKey });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /service-accounts/:id/api-keys - Issue another key, e.g. to rotate (cross-org admin only)
+app.post("/service-accounts/:id/api-keys", authenticate, requireAdmin, requireCrossOrgAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) return res.status(400).json({ error: "invalid user id" });
+
+    const error = validateApiKeyRequest(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const account = await pool.query("SELECT role FROM users WHERE id = $1", [userId]);
+    if (account.rows[0]?.role !== "service")
+      return res.status(404).json({ error: "service account not found" });
+
+    const apiKey = await createApiKey(userId, {
+      name: req.body.name,
+      scopes: req.body.scopes,
+      expiresInDays: req.body.expires_in_days,
+      createdBy: req.user.sub,
+    });
+    await logUserChange(
+      req.user.sub,
+      userId,
+      "api_key_created",
+      null,
+      `${apiKey.name} (${apiKey.key_prefix})`
+    );
+    res.status(201).json(apiKey);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /orgs - Organizations with their member count (admins see their own only)
+app.get("/orgs", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT o.id, o.name, o.email_domain, o.created_at, COUNT(u.id)::int AS members
+       FROM organizations o
+       LEFT JOIN users u ON u.org_id = o.id AND u.role <> 'service'
+       WHERE $1::int IS NULL OR o.id = $1
+       GROUP BY o.id
+       ORDER BY o.id`,
+      [req.admin.cross_org ? null : req.admin.org_id]
+    );
+    res.json({ orgs: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /orgs - Create an organization (cross-org admin only)
+// Accounts registering with an email at `email_domain` join it automatically
+app.post("/orgs", authenticate, requireAdmin, requireCrossOrgAdmin, async (req, res) => {
+  try {
+    const { name, email_domain } = req.body;
+    if (!name || typeof name !== "string")
+      return res.status(400).json({ error: "name is required" });
+    if (email_domain !== undefined && email_domain !== null && typeof email_domain !== "string")
+      return res.status(400).json({ error: "email_domain must be a string" });
+
+    const result = await pool.query(
+      `INSERT INTO organizations (name, email_domain) VALUES ($1, $2)
+       RETURNING id, name, email_domain, created_at`,
+      [name.trim(), email_domain ? email_domain.trim().toLowerCase() : null]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "organization name or email domain already in use" });
+    }
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PATCH /orgs/:id - Rename an organization or change its email domain (cross-org admin only)
+app.patch("/orgs/:id", authenticate, requireAdmin, requireCrossOrgAdmin, async (req, res) => {
+  try {
+    const orgId = parseInt(req.params.id);
+    if (isNaN(orgId)) return res.status(400).json({ error: "invalid organization id" });
+
+    const { name, email_domain } = req.body;
+    if (name !== undefined && (!name || typeof name !== "string"))
+      return res.status(400).json({ error: "name must be a non-empty string" });
+    if (email_domain !== undefined && email_domain !== null && typeof email_domain !== "string")
+      return res.status(400).json({ error: "email_domain must be a string or null" });
+
+    const result = await pool.query(
+      `UPDATE organizations
+       SET name = COALESCE($1, name),
+           email_domain = CASE WHEN $2 THEN $3 ELSE email_domain END
+       WHERE id = $4
+       RETURNING id, name, email_domain, created_at`,
+      [
+        name ? name.trim() : null,
+        email_domain !== undefined,
+        email_domain ? email_domain.trim().toLowerCase() : null,
+        orgId,
+      ]
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: "organization not found" });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "organization name or email domain already in use" });
+    }
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /.well-known/jwks.json - Public keys other services verify tokens with
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(signingKeys.jwks());
+});
+
+// GET /keys - Published signing keys, without key material (cross-org admin only)
+app.get("/keys", authenticate, requireAdmin, requireCrossOrgAdmin, (req, res) => {
+  res.json({ keys: signingKeys.list() });
+});
+
+// POST /keys/rotate - Start signing with a new key (cross-org admin only)
+// The previous key stays in the JWKS until its tokens have expired
+app.post("/keys/rotate", authenticate, requireAdmin, requireCrossOrgAdmin, (req, res) => {
+  try {
+    const kid = signingKeys.rotate();
+    console.log(`[Keys] Rotated by user ${req.user.sub}, active key ${kid}`);
+    res.status(201).json({ kid, keys: signingKeys.list() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
   }
 });
 
@@ -0,0 +1,202 @@
+/**
+ * OpenID Connect Client
+ *
+ * Sign-in through an external identity provider with the authorization code flow and PKCE.
+ * s1-auth is the (confidential or public) client: it builds the authorization URL, trades the
+ * code for tokens at the provider's token endpoint and verifies the ID token against the
+ * provider's JWKS. The provider's endpoints come from its discovery document.
+ *
+ * The authorization endpoint is opened by the browser, everything else is called by s1-auth,
+ * so a provider may publish different hosts for the two (e.g. localhost vs. a compose service).
+ *
+ * Usage:
+ *   const oidc = require('./oidc');
+ *   if (oidc.isEnabled()) {
+ *     const { state, nonce, codeVerifier } = oidc.createLoginRequest();
+ *     const url = await oidc.authorizationUrl({ state, nonce, codeVerifier });
+ *     // ... browser comes back with ?code=&state=
+ *     const claims = await oidc.completeLogin(code, codeVerifier, nonce);
+ *     const role = oidc.roleForGroups(claims.groups);
+ *   }
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ISSUER = process.env.OIDC_ISSUER;
+const DISCOVERY_URL =
+  process.env.OIDC_DISCOVERY_URL || (ISSUER && `${ISSUER}/.well-known/openid-configuration`);
+const CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET; // unset for public clients (PKCE only)
+const REDIRECT_URI =
+  process.env.OIDC_REDIRECT_URI || `${process.env.APP_URL || 'http://localhost:5173'}/`;
+const SCOPES = process.env.OIDC_SCOPES || 'openid email profile groups';
+const GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+const ADMIN_GROUPS = splitList(process.env.OIDC_ADMIN_GROUPS);
+const STAFF_GROUPS = splitList(process.env.OIDC_STAFF_GROUPS);
+
+const DISCOVERY_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const JWKS_MIN_REFETCH_INTERVAL = 1000; // Unknown kid: refetch at most once a second
+const ALGORITHMS = ['RS256', 'ES256'];
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+let discovery = null;
+let discoveryFetchedAt = 0;
+let providerKeys = new Map();
+let keysFetchedAt = 0;
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(5000) });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.status;
+    throw new Error(`${url} answered ${reason}`);
+  }
+  return body;
+}
+
+async function getDiscovery() {
+  if (!discovery || Date.now() - discoveryFetchedAt > DISCOVERY_CACHE_TTL) {
+    discovery = await fetchJson(DISCOVERY_URL);
+    discoveryFetchedAt = Date.now();
+  }
+  return discovery;
+}
+
+// Provider signing key by kid, refetching the JWKS when the provider rotated
+async function getProviderKey(kid) {
+  if (!providerKeys.has(kid) && Date.now() - keysFetchedAt > JWKS_MIN_REFETCH_INTERVAL) {
+    const { jwks_uri } = await getDiscovery();
+    const { keys } = await fetchJson(jwks_uri);
+    providerKeys = new Map(
+      keys
+        .filter((jwk) => !jwk.use || jwk.use === 'sig')
+        .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+    keysFetchedAt = Date.now();
+  }
+  return providerKeys.get(kid);
+}
+
+function base64urlSha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+/**
+ * Whether an identity provider is configured (OIDC_ISSUER and OIDC_CLIENT_ID)
+ */
+function isEnabled() {
+  return Boolean(ISSUER && CLIENT_ID);
+}
+
+/**
+ * Random values for one login attempt. Keep them server-side until the callback.
+ * @returns {{ state: string, nonce: string, codeVerifier: string }}
+ */
+function createLoginRequest() {
+  return {
+    state: crypto.randomBytes(32).toString('base64url'),
+    nonce: crypto.randomBytes(32).toString('base64url'),
+    codeVerifier: crypto.randomBytes(32).toString('base64url'),
+  };
+}
+
+/**
+ * URL of the provider's login page for this attempt (S256 code challenge)
+ */
+async function authorizationUrl({ state, nonce, codeVerifier }) {
+  const { authorization_endpoint } = await getDiscovery();
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    scope: SCOPES,
+    state,
+    nonce,
+    code_challenge: base64urlSha256(codeVerifier),
+    code_challenge_method: 'S256',
+  });
+  return `${authorization_endpoint}?${params}`;
+}
+
+/**
+ * Verify an ID token: signature (provider JWKS), issuer, audience, expiry and nonce
+ * @returns {Promise<object>} The token's claims
+ */
+async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new Error('id token has no key id');
+  }
+  const key = await getProviderKey(decoded.header.kid);
+  if (!key) {
+    throw new Error('id token signed with an unknown key');
+  }
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ALGORITHMS,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS,
+  });
+  if (claims.nonce !== nonce) {
+    throw new Error('id token nonce mismatch');
+  }
+  return claims;
+}
+
+/**
+ * Trade an authorization code for tokens and return the verified ID token claims
+ * @param {string} code - `code` from the callback
+ * @param {string} codeVerifier - PKCE verifier of the login attempt
+ * @param {string} nonce - Nonce of the login attempt
+ */
+async function completeLogin(code, codeVerifier, nonce) {
+  const { token_endpoint } = await getDiscovery();
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: REDIRECT_URI,
+    client_id: CLIENT_ID,
+    code_verifier: codeVerifier,
+  });
+  if (CLIENT_SECRET) {
+    // client_secret_basic, the default client authentication of OIDC
+    const credentials = `${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(token_endpoint, { method: 'POST', headers, body });
+  if (!tokens.id_token) {
+    throw new Error('token response has no id_token');
+  }
+  return verifyIdToken(tokens.id_token, nonce);
+}
+
+/**
+ * Map the provider's groups to a local role (OIDC_ADMIN_GROUPS, OIDC_STAFF_GROUPS)
+ * @param {string[]|string|undefined} groups - Groups claim of the ID token
+ * @returns {'admin'|'staff'|'user'}
+ */
+function roleForGroups(groups) {
+  const list = Array.isArray(groups) ? groups : groups ? [groups] : [];
+  if (list.some((group) => ADMIN_GROUPS.includes(group))) return 'admin';
+  if (list.some((group) => STAFF_GROUPS.includes(group))) return 'staff';
+  return 'user';
+}
+
+module.exports = {
+  GROUPS_CLAIM,
+  isEnabled,
+  createLoginRequest,
+  authorizationUrl,
+  completeLogin,
+  roleForGroups,
+};
@@ -0,0 +1,176 @@
+/**
+ * Signing Key Store
+ *
+ * Asymmetric keys s1-auth uses to sign JWTs. Private keys never leave this service:
+ * they live in JWT_KEYS_DIR (a volume only s1-auth mounts), one JSON file per key.
+ * Other services verify tokens with the public keys published at
+ * GET /.well-known/jwks.json, picked by the `kid` in the token header.
+ *
+ * Rotation: rotate() creates a key that signs from then on. Older keys stay published
+ * for JWT_KEY_RETENTION_HOURS so the tokens they signed keep verifying, then are deleted.
+ *
+ * Usage:
+ *   const signingKeys = require('./signing-keys');
+ *   signingKeys.init();
+ *   const token = signingKeys.sign({ sub: 1 }, { expiresIn: '15m' });
+ *   const payload = signingKeys.verify(token);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const KEYS_DIR = process.env.JWT_KEYS_DIR || path.join(__dirname, 'keys');
+const ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
+const RETENTION_HOURS = parseInt(process.env.JWT_KEY_RETENTION_HOURS) || 24;
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+// Loaded keys, newest (= active) first
+let keys = [];
+
+function toKey(record) {
+  const privateKey = crypto.createPrivateKey(record.private_key);
+  return {
+    kid: record.kid,
+    alg: record.alg,
+    createdAt: new Date(record.created_at),
+    privateKey,
+    publicKey: crypto.createPublicKey(privateKey),
+  };
+}
+
+function load() {
+  fs.mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+  keys = fs
+    .readdirSync(KEYS_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => toKey(JSON.parse(fs.readFileSync(path.join(KEYS_DIR, file), 'utf8'))))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function generate() {
+  const { privateKey } =
+    ALGORITHM === 'ES256'
+      ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+      : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const record = {
+    kid: crypto.randomUUID(),
+    alg: ALGORITHM,
+    created_at: new Date().toISOString(),
+    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  };
+  fs.writeFileSync(path.join(KEYS_DIR, `${record.kid}.json`), JSON.stringify(record, null, 2), {
+    mode: 0o600,
+  });
+  console.log(`[Keys] Generated ${record.alg} signing key ${record.kid}`);
+  return record.kid;
+}
+
+// A key is retired when a newer one is created; delete it once retention has passed
+function prune() {
+  const cutoff = Date.now() - RETENTION_HOURS * 60 * 60 * 1000;
+  keys = keys.filter((key, index) => {
+    const retiredAt = index > 0 ? keys[index - 1].createdAt : null;
+    if (retiredAt && retiredAt.getTime() < cutoff) {
+      fs.rmSync(path.join(KEYS_DIR, `${key.kid}.json`), { force: true });
+      console.log(`[Keys] Deleted retired signing key ${key.kid}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Load keys from disk, creating one if there is none for the configured algorithm
+ */
+function init() {
+  if (!SUPPORTED_ALGORITHMS.includes(ALGORITHM)) {
+    throw new Error(`JWT_ALGORITHM must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+  }
+  load();
+  if (keys.length === 0 || keys[0].alg !== ALGORITHM) {
+    generate();
+    load();
+  }
+  prune();
+  console.log(`[Keys] Signing with ${keys[0].alg} key ${keys[0].kid} (${keys.length} published)`);
+}
+
+/**
+ * Create a new active signing key
+ * @returns {string} The new key id
+ */
+function rotate() {
+  const kid = generate();
+  load();
+  prune();
+  return kid;
+}
+
+/**
+ * Sign a payload with the active key (sets the `kid` header)
+ * @param {object} payload - Token claims
+ * @param {object} options - jsonwebtoken sign options (e.g. expiresIn)
+ */
+function sign(payload, options = {}) {
+  const [active] = keys;
+  return jwt.sign(payload, active.privateKey, {
+    ...options,
+    algorithm: active.alg,
+    keyid: active.kid,
+  });
+}
+
+/**
+ * Verify a token signed by any published key
+ * @throws if the signature, key id or expiry is invalid
+ */
+function verify(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded && decoded.header.kid;
+  let key = keys.find((k) => k.kid === kid);
+  if (!key && kid) {
+    // Another instance may have rotated since we loaded
+    load();
+    key = keys.find((k) => k.kid === kid);
+  }
+  if (!key) throw new Error('unknown signing key');
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+}
+
+/**
+ * Public keys in JWK Set format for GET /.well-known/jwks.json
+ */
+function jwks() {
+  return {
+    keys: keys.map((key) => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig',
+    })),
+  };
+}
+
+/**
+ * Metadata of the published keys (no key material)
+ */
+function list() {
+  return keys.map((key, index) => ({
+    kid: key.kid,
+    alg: key.alg,
+    created_at: key.createdAt.toISOString(),
+    active: index === 0,
+  }));
+}
+
+module.exports = {
+  init,
+  rotate,
+  sign,
+  verify,
+  jwks,
+  list,
+};
@@ -0,0 +1,102 @@
+/**
+ * CSV Helper
+ *
+ * Reads and writes CSV as described in RFC 4180: comma-separated fields, optionally
+ * enclosed in double quotes, with "" for a quote inside a quoted field. Quoted fields may
+ * contain commas and line breaks. Lines end in CRLF or LF; a leading byte order mark
+ * (spreadsheet exports) is ignored.
+ *
+ * Usage:
+ *   const { parseCsv, formatCsvRow } = require('./csv');
+ *   const { rows, error } = parseCsv('title,category\n"Printer, 2nd floor",hardware\n');
+ *   // rows: [['title', 'category'], ['Printer, 2nd floor', 'hardware']]
+ *   res.write(formatCsvRow(['Printer, 2nd floor', 'hardware'])); // '"Printer, 2nd floor",hardware\r\n'
+ */
+
+/**
+ * Parse CSV text into rows of fields. Blank lines are skipped.
+ * @param {string} text
+ * @returns {{ rows?: string[][], error?: string }} The rows, or an error for malformed quoting
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+        const next = text[i + 1];
+        if (next !== undefined && next !== ',' && next !== '\r' && next !== '\n') {
+          return { error: `line ${line}: unexpected character after closing quote` };
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      if (field !== '') return { error: `line ${line}: quote inside an unquoted field` };
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) return { error: `line ${line}: unterminated quoted field` };
+  if (field !== '' || row.length > 0) endRow();
+  return { rows };
+}
+
+// Spreadsheets run cells starting with these as formulas; such cells get a leading '
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one CSV row, terminated by CRLF. null and undefined become empty fields, dates
+ * ISO 8601 strings and other objects (arrays, JSON columns) JSON. Text that a
+ * spreadsheet would run as a formula is prefixed with '.
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvField).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+};
@@ -0,0 +1,201 @@
+/**
+ * Custom Fields Helper
+ *
+ * Categories define extra fields their tickets carry (e.g. "browser version" for bugs).
+ * A field definition has a key, a label, a type, a required flag and type-specific rules:
+ *
+ *   { key: 'browser_version', label: 'Browser version', type: 'text', required: true,
+ *     max_length: 100, pattern: '^[A-Za-z]+ [0-9.]+$' }
+ *
+ * Types: text (max_length, pattern), number (min, max, integer), boolean, date (YYYY-MM-DD)
+ * and select (options).
+ *
+ * Usage:
+ *   const { validateFieldDefinitions, validateFieldValues } = require('./custom-fields');
+ *   const { fields, error } = validateFieldDefinitions(req.body.fields);
+ *   const { values, error } = validateFieldValues(category.fields, req.body.custom_fields);
+ */
+
+const FIELD_TYPES = ['text', 'number', 'boolean', 'date', 'select'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const DEFAULT_MAX_LENGTH = 1000;
+const MAX_FIELDS = 50;
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Check one definition; returns the normalized definition or an error message
+function normalizeDefinition(field, index) {
+  const name = `fields[${index}]`;
+  if (!isPlainObject(field)) return `${name} must be an object`;
+  if (typeof field.key !== 'string' || !KEY_PATTERN.test(field.key)) {
+    return `${name}.key must be lowercase letters, digits and underscores (max 40)`;
+  }
+  if (!FIELD_TYPES.includes(field.type)) {
+    return `${name}.type must be one of: ${FIELD_TYPES.join(', ')}`;
+  }
+  if (field.label !== undefined && (typeof field.label !== 'string' || !field.label.trim())) {
+    return `${name}.label must be a non-empty string`;
+  }
+  if (field.required !== undefined && typeof field.required !== 'boolean') {
+    return `${name}.required must be true or false`;
+  }
+
+  const definition = {
+    key: field.key,
+    label: field.label ? field.label.trim() : field.key,
+    type: field.type,
+    required: field.required === true,
+  };
+
+  if (field.type === 'text') {
+    const maxLength = field.max_length ?? DEFAULT_MAX_LENGTH;
+    if (!Number.isInteger(maxLength) || maxLength < 1) {
+      return `${name}.max_length must be a positive integer`;
+    }
+    definition.max_length = maxLength;
+    if (field.pattern !== undefined) {
+      try {
+        new RegExp(field.pattern);
+      } catch {
+        return `${name}.pattern is not a valid regular expression`;
+      }
+      definition.pattern = field.pattern;
+    }
+  }
+
+  if (field.type === 'number') {
+    for (const bound of ['min', 'max']) {
+      if (field[bound] === undefined) continue;
+      if (!isFiniteNumber(field[bound])) return `${name}.${bound} must be a number`;
+      definition[bound] = field[bound];
+    }
+    if (definition.min > definition.max) {
+      return `${name}.min must not be greater than max`;
+    }
+    definition.integer = field.integer === true;
+  }
+
+  if (field.type === 'select') {
+    const { options } = field;
+    if (
+      !Array.isArray(options) ||
+      options.length === 0 ||
+      options.some((option) => typeof option !== 'string' || !option)
+    ) {
+      return `${name}.options must be a non-empty array of strings`;
+    }
+    definition.options = [...new Set(options)];
+  }
+
+  return definition;
+}
+
+/**
+ * Validate a category's field definitions
+ * @param {Array<object>|undefined} fields
+ * @returns {{ fields?: Array<object>, error?: string }} Normalized definitions or an error
+ */
+function validateFieldDefinitions(fields) {
+  if (fields === undefined) return { fields: [] };
+  if (!Array.isArray(fields)) return { error: 'fields must be an array' };
+  if (fields.length > MAX_FIELDS) return { error: `at most ${MAX_FIELDS} fields per category` };
+
+  const normalized = [];
+  for (const [index, field] of fields.entries()) {
+    const definition = normalizeDefinition(field, index);
+    if (typeof definition === 'string') return { error: definition };
+    if (normalized.some((other) => other.key === definition.key)) {
+      return { error: `duplicate field key: ${definition.key}` };
+    }
+    normalized.push(definition);
+  }
+  return { fields: normalized };
+}
+
+// Check one value against its definition; returns the stored value or { error }
+function checkValue(field, value) {
+  const name = `custom_fields.${field.key}`;
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') return { error: `${name} must be text` };
+      if (value.length > field.max_length) {
+        return { error: `${name} must be at most ${field.max_length} characters` };
+      }
+      if (field.pattern && !new RegExp(field.pattern).test(value)) {
+        return { error: `${name} has an invalid format` };
+      }
+      return { value };
+    case 'number': {
+      // Form inputs send numbers as strings
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (!isFiniteNumber(number)) return { error: `${name} must be a number` };
+      if (field.integer && !Number.isInteger(number)) {
+        return { error: `${name} must be a whole number` };
+      }
+      if (field.min !== undefined && number < field.min) {
+        return { error: `${name} must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && number > field.max) {
+        return { error: `${name} must be at most ${field.max}` };
+      }
+      return { value: number };
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: `${name} must be true or false` };
+      return { value };
+    case 'date': {
+      // Round trip through Date rejects impossible days such as 2024-02-30
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(value) && new Date(`${value}T00:00:00Z`);
+      if (!date || isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+        return { error: `${name} must be a date (YYYY-MM-DD)` };
+      }
+      return { value };
+    }
+    case 'select':
+      if (!field.options.includes(value)) {
+        return { error: `${name} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value };
+    default:
+      return { error: `${name} has an unknown type` };
+  }
+}
+
+/**
+ * Validate custom field values against a category's field definitions
+ * @param {Array<object>} fields - The category's (normalized) definitions
+ * @param {object|undefined} values - Values by field key
+ * @returns {{ values?: object, error?: string }} Values to store, or the first error
+ */
+function validateFieldValues(fields, values) {
+  if (values === undefined || values === null) values = {};
+  if (!isPlainObject(values)) return { error: 'custom_fields must be an object' };
+
+  const unknown = Object.keys(values).filter((key) => !fields.some((field) => field.key === key));
+  if (unknown.length > 0) return { error: `unknown custom field(s): ${unknown.join(', ')}` };
+
+  const stored = {};
+  for (const field of fields) {
+    const value = values[field.key];
+    if (value === undefined || value === null || value === '') {
+      if (field.required) return { error: `custom_fields.${field.key} is required` };
+      continue;
+    }
+    const checked = checkValue(field, value);
+    if (checked.error) return { error: checked.error };
+    stored[field.key] = checked.value;
+  }
+  return { values: stored };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  validateFieldDefinitions,
+  validateFieldValues,
+};
@@ -0,0 +1,289 @@
+/**
+ * Email Parser
+ *
+ * Reads a raw RFC 822 / MIME message, as a mail server hands it over (an .eml file), into
+ * what the email-to-ticket endpoint needs: sender, subject, text and attachments.
+ * Handles nested multipart bodies, base64 and quoted-printable transfer encodings,
+ * charsets, RFC 2047 encoded headers and RFC 2231 file names. The text of an HTML-only
+ * message is extracted from its markup.
+ *
+ * Usage:
+ *   const { parseMessage, stripQuotedReply } = require('./email-parser');
+ *   const message = parseMessage(fs.readFileSync('request.eml'));
+ *   // { from: { name, address }, subject, messageId, text, html,
+ *   //   attachments: [{ filename, contentType, content: Buffer }] }
+ *   stripQuotedReply(message.text); // the reply without the quoted message below it
+ */
+
+// Deeper multipart nesting is treated as an opaque attachment
+const MAX_DEPTH = 10;
+
+// The message is handled as a latin1 string: one character per byte, so binary parts
+// survive until they are decoded into a Buffer or a charset.
+function toBytes(text) {
+  return Buffer.from(text, 'latin1');
+}
+
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    // Unknown charset label
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const source = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < source.length; i++) {
+    const hex = source[i] === '=' && source.slice(i + 1, i + 3);
+    if (hex && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Header text: raw UTF-8 (RFC 6532) plus =?charset?B|Q?...?= encoded words (RFC 2047)
+function decodeHeader(value) {
+  return decodeCharset(toBytes(value), 'utf-8')
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes =
+        encoding.toUpperCase() === 'B'
+          ? Buffer.from(text, 'base64')
+          : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset.split('*')[0]);
+    });
+}
+
+// Header block -> { name (lowercase): [values] }, with folded lines unfolded
+function parseHeaders(head) {
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    (headers[name] = headers[name] || []).push(line.slice(colon + 1).trim());
+  }
+  return headers;
+}
+
+function header(headers, name) {
+  return headers[name] ? headers[name][0] : '';
+}
+
+const PARAM_PATTERN = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+
+/**
+ * Split a structured header such as Content-Type into its value and parameters.
+ * RFC 2231 parameters (filename*=utf-8''..., filename*0=...) are decoded and joined.
+ * @returns {{ value: string, params: object }}
+ */
+function parseStructured(text) {
+  const semi = text.indexOf(';');
+  const value = (semi === -1 ? text : text.slice(0, semi)).trim().toLowerCase();
+  const params = {};
+  const sections = {};
+
+  for (const [, rawName, rawValue] of (semi === -1 ? '' : text.slice(semi)).matchAll(
+    PARAM_PATTERN,
+  )) {
+    let param = rawValue.trim();
+    if (param.startsWith('"')) param = param.slice(1, -1).replace(/\\(.)/g, '$1');
+    const name = rawName.toLowerCase();
+    const extended = /^([^*]+)\*(\d+)?(\*)?$/.exec(name);
+    if (extended) {
+      const [, base, index, star] = extended;
+      (sections[base] = sections[base] || []).push({
+        index: Number(index || 0),
+        encoded: index === undefined || star !== undefined,
+        value: param,
+      });
+    } else {
+      params[name] = decodeHeader(param);
+    }
+  }
+
+  for (const [name, parts] of Object.entries(sections)) {
+    parts.sort((a, b) => a.index - b.index);
+    let charset = 'utf-8';
+    const bytes = parts.map((part, i) => {
+      let text = part.value;
+      if (!part.encoded) return toBytes(text);
+      if (i === 0) {
+        const quote = /^([^']*)'[^']*'/.exec(text);
+        if (quote) {
+          charset = quote[1] || charset;
+          text = text.slice(quote[0].length);
+        }
+      }
+      return toBytes(
+        text.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+      );
+    });
+    params[name] = decodeCharset(Buffer.concat(bytes), charset);
+  }
+  return { value, params };
+}
+
+function splitEntity(raw) {
+  const blank = /\r?\n\r?\n/.exec(raw);
+  if (!blank) return { head: raw, body: '' };
+  return { head: raw.slice(0, blank.index), body: raw.slice(blank.index + blank[0].length) };
+}
+
+// The parts of a multipart body, without preamble and epilogue
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+  for (const line of body.split(/\r?\n/)) {
+    const trimmed = line.trimEnd();
+    if (trimmed === delimiter || trimmed === `${delimiter}--`) {
+      if (current) parts.push(current.join('\r\n'));
+      current = trimmed === delimiter ? [] : null;
+      if (!current) break;
+      continue;
+    }
+    if (current) current.push(line);
+  }
+  // A missing closing delimiter still ends the last part
+  if (current) parts.push(current.join('\r\n'));
+  return parts;
+}
+
+function decodeBody(body, encoding) {
+  if (encoding === 'base64') return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  if (encoding === 'quoted-printable') return decodeQuotedPrintable(body);
+  return toBytes(body);
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Readable text of an HTML body, for messages that have no text/plain part
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()] ?? match;
+      const code =
+        entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Walk an entity and its sub-parts, collecting text, HTML and attachments into `found`
+function walk(raw, depth, found) {
+  const { head, body } = splitEntity(raw);
+  const headers = parseHeaders(head);
+  const type = parseStructured(header(headers, 'content-type') || 'text/plain');
+  const disposition = parseStructured(header(headers, 'content-disposition'));
+  const encoding = header(headers, 'content-transfer-encoding').toLowerCase();
+
+  if (type.value.startsWith('multipart/') && type.params.boundary && depth < MAX_DEPTH) {
+    for (const part of splitMultipart(body, type.params.boundary)) {
+      walk(part, depth + 1, found);
+    }
+    return headers;
+  }
+
+  const content = decodeBody(body, encoding);
+  const filename = disposition.params.filename || type.params.name;
+  const isBody =
+    (type.value === 'text/plain' || type.value === 'text/html') &&
+    disposition.value !== 'attachment' &&
+    !filename;
+
+  if (isBody) {
+    const text = decodeCharset(content, type.params.charset).replace(/\r\n/g, '\n');
+    (type.value === 'text/html' ? found.html : found.text).push(text);
+  } else {
+    const fallback = type.value === 'message/rfc822' ? 'message.eml' : 'attachment';
+    found.attachments.push({
+      filename: filename || `${fallback}-${found.attachments.length + 1}`,
+      contentType: type.value || 'application/octet-stream',
+      content,
+    });
+  }
+  return headers;
+}
+
+// "Jane Doe <jane@example.com>" -> { name, address }, or null without an address
+function parseAddress(value) {
+  const angle = /<([^<>\s]+@[^<>\s]+)>/.exec(value);
+  const bare = angle ? null : /([^\s<>"',;]+@[^\s<>"',;]+)/.exec(value);
+  const address = (angle || bare || [])[1];
+  if (!address) return null;
+  const name = angle
+    ? value
+        .slice(0, angle.index)
+        .trim()
+        .replace(/^"(.*)"$/, '$1')
+    : '';
+  return { name: name || null, address: address.toLowerCase() };
+}
+
+/**
+ * Parse a raw email message
+ * @param {Buffer|string} raw - The message, headers included (e.g. the content of an .eml file)
+ * @returns {{ from: { name: string|null, address: string }|null, subject: string,
+ *   messageId: string|null, text: string, html: string|null,
+ *   attachments: Array<{ filename: string, contentType: string, content: Buffer }> }}
+ */
+function parseMessage(raw) {
+  const found = { text: [], html: [], attachments: [] };
+  const headers = walk(Buffer.from(raw).toString('latin1'), 0, found);
+  const html = found.html.join('\n') || null;
+
+  return {
+    from: parseAddress(decodeHeader(header(headers, 'from'))),
+    subject: decodeHeader(header(headers, 'subject')).trim(),
+    messageId: header(headers, 'message-id') || null,
+    text: found.text.join('\n\n').trim() || (html ? htmlToText(html) : ''),
+    html,
+    attachments: found.attachments,
+  };
+}
+
+/**
+ * The new text of a reply: everything above the quoted original ("On ... wrote:",
+ * "-----Original Message-----") and without ">" quoted lines
+ * @param {string} text
+ * @returns {string}
+ */
+function stripQuotedReply(text) {
+  const markers = [
+    /^On [^\n]*(\n[^\n]*)?wrote:[ \t]*$/m,
+    /^-{2,}\s*Original Message\s*-{2,}/im,
+    /^_{10,}$/m,
+  ];
+  let reply = text;
+  for (const marker of markers) {
+    const match = marker.exec(reply);
+    if (match) reply = reply.slice(0, match.index);
+  }
+  reply = reply
+    .split('\n')
+    .filter((line) => !line.startsWith('>'))
+    .join('\n')
+    .trim();
+  return reply || text.trim();
+}
+
+module.exports = {
+  parseMessage,
+  stripQuotedReply,
+};
@@ -1,6 +1,12 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { createAuthenticate, requireScope, orgScope } = require("./auth-helper");
 const { Pool } = require("pg");
+const { diffWords } = require("./text-diff");
+const { VALID_STATUSES, checkTransition, requesterAction } = require("./workflow-policy");
+const { validateFieldDefinitions, validateFieldValues } = require("./custom-fields");
+const { parseMessage, stripQuotedReply } = require("./email-parser");
+const { parseCsv, formatCsvRow } = require("./csv");
 
 const app = express();
 app.use(express.json());
@@ -9,187 +15,4050 @@ const pool = new Pool({
   connectionString: process.env.DB_URL,
 });
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
+// New comments and requester actions are announced through S6
+const NOTIFICATION_SERVICE_URL =
+  process.env.NOTIFICATION_SERVICE_URL || "http://s6-notifications:3006";
 
-// Middleware to verify JWT and extract user info
-function authenticate(req, res, next) {
+// Attachments of inbound emails are stored in S5, which also deletes the files of purged tickets
+const MEDIA_SERVICE_URL = process.env.MEDIA_SERVICE_URL || "http://s5-media:3005";
+
+// API key of this service's service account (scopes notifications:write, media:write),
+// issued by s1-auth
+const SERVICE_API_KEY = process.env.SERVICE_API_KEY;
+
+// Tickets created from inbound emails get this category; messages up to this size are accepted
+const INBOUND_EMAIL_CATEGORY = process.env.INBOUND_EMAIL_CATEGORY || "support";
+const INBOUND_EMAIL_MAX_SIZE = process.env.INBOUND_EMAIL_MAX_SIZE || "25mb";
+
+// Deleted tickets can be restored for this many days; resolved tickets are archived this
+// many days after their last change
+const TICKET_RESTORE_DAYS = parseInt(process.env.TICKET_RESTORE_DAYS) || 30;
+const ARCHIVE_AFTER_DAYS = parseInt(process.env.ARCHIVE_AFTER_DAYS) || 90;
+
+// Middleware to verify JWT and extract user info (see auth-helper.js)
+const authenticate = createAuthenticate(pool);
+
+// Initialize tickets table on startup
+async function init() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS tickets (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      category TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'new',
+      priority TEXT NOT NULL DEFAULT 'medium',
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Add priority column if it doesn't exist (for existing databases)
+  await pool
+    .query(
+      `
+    ALTER TABLE tickets
+    ADD COLUMN IF NOT EXISTS priority TEXT NOT NULL DEFAULT 'medium';
+  `,
+    )
+    .catch(() => {
+      // Column might already exist, ignore error
+    });
+
+  // Organization (tenant) of each ticket; older tickets take their creator's org
+  await pool.query(`ALTER TABLE tickets ADD COLUMN IF NOT EXISTS org_id INTEGER;`);
+  await pool
+    .query(
+      `UPDATE tickets t SET org_id = u.org_id
+       FROM users u
+       WHERE t.org_id IS NULL AND u.id = t.user_id`,
+    )
+    .catch((err) => {
+      // users.org_id is added by s1-auth; retried on the next start
+      console.error("Could not backfill ticket organizations:", err.message);
+    });
+  await pool
+    .query(`CREATE INDEX IF NOT EXISTS idx_tickets_org_id ON tickets(org_id);`)
+    .catch(() => {});
+
+  // Workflow columns (also added by s4-workflow), needed for filters and sorting
+  await pool.query(`
+    ALTER TABLE tickets
+    ADD COLUMN IF NOT EXISTS assigned_to INTEGER,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW();
+  `);
+
+  // Full-text search over title (weighted higher) and description
+  await pool.query(`
+    ALTER TABLE tickets
+    ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(description, '')), 'B')
+    ) STORED;
+  `);
+  await pool
+    .query(
+      `CREATE INDEX IF NOT EXISTS idx_tickets_search ON tickets USING GIN (search_vector);`,
+    )
+    .catch(() => {});
+  await pool
+    .query(
+      `CREATE INDEX IF NOT EXISTS idx_tickets_org_created ON tickets(org_id, created_at DESC, id DESC);`,
+    )
+    .catch(() => {});
+
+  // Trigram similarity for duplicate detection (also used by s4-workflow's duplicates view)
+  await pool.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+  await pool
+    .query(
+      `CREATE INDEX IF NOT EXISTS idx_tickets_similarity ON tickets
+       USING GIN (${SIMILARITY_TEXT} gin_trgm_ops);`,
+    )
+    .catch(() => {});
+
+  // Conversation on a ticket; internal notes are only visible to staff
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_comments (
+      id SERIAL PRIMARY KEY,
+      ticket_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      internal BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      edited_at TIMESTAMP
+    );
+  `);
+  await pool
+    .query(
+      `CREATE INDEX IF NOT EXISTS idx_ticket_comments_ticket_id ON ticket_comments(ticket_id, created_at);`,
+    )
+    .catch(() => {});
+
+  // Every version of a ticket's editable content; revision 1 is the content at creation
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_revisions (
+      id SERIAL PRIMARY KEY,
+      ticket_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      category TEXT NOT NULL,
+      edited_by INTEGER NOT NULL,
+      restored_from INTEGER,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE(ticket_id, revision)
+    );
+  `);
+  await pool.query(`
+    INSERT INTO ticket_revisions (ticket_id, revision, title, description, category, edited_by, created_at)
+    SELECT t.id, 1, t.title, t.description, t.category, t.user_id, t.created_at
+    FROM tickets t
+    WHERE NOT EXISTS (SELECT 1 FROM ticket_revisions r WHERE r.ticket_id = t.id);
+  `);
+
+  // Timeline shared with s4-workflow (same schema), edits show up next to workflow changes
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_history (
+      id SERIAL PRIMARY KEY,
+      ticket_id INTEGER NOT NULL,
+      changed_by INTEGER NOT NULL,
+      field_name TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Labels are curated by admins per organization; a ticket can carry any number of them
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS labels (
+      id SERIAL PRIMARY KEY,
+      org_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      color TEXT,
+      description TEXT,
+      created_by INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool
+    .query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_org_name ON labels(org_id, lower(name));`)
+    .catch(() => {});
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_labels (
+      ticket_id INTEGER NOT NULL,
+      label_id INTEGER NOT NULL,
+      added_by INTEGER NOT NULL,
+      added_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (ticket_id, label_id)
+    );
+  `);
+  await pool
+    .query(`CREATE INDEX IF NOT EXISTS idx_ticket_labels_label_id ON ticket_labels(label_id);`)
+    .catch(() => {});
+
+  // Categories are managed by cross-org admins; each defines its tickets' custom fields
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_categories (
+      name TEXT PRIMARY KEY,
+      label TEXT NOT NULL,
+      default_priority TEXT NOT NULL DEFAULT 'medium',
+      fields JSONB NOT NULL DEFAULT '[]',
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  for (const category of DEFAULT_CATEGORIES) {
+    await pool.query(
+      `INSERT INTO ticket_categories (name, label, default_priority)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (name) DO NOTHING`,
+      [category.name, category.label, category.default_priority],
+    );
+  }
+  await pool.query(
+    `ALTER TABLE tickets ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}';`,
+  );
+
+  // A merged ticket points to the ticket it was merged into (POST /:id/merge)
+  await pool.query(`ALTER TABLE tickets ADD COLUMN IF NOT EXISTS merged_into INTEGER;`);
+
+  // Inbound emails already turned into a ticket or comment, by Message-ID (redeliveries)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS inbound_emails (
+      id SERIAL PRIMARY KEY,
+      message_id TEXT UNIQUE,
+      sender TEXT NOT NULL,
+      ticket_id INTEGER,
+      comment_id INTEGER,
+      received_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Users following a ticket: staff watching it and colleagues the requester CCs. Both
+  // are notified of its events; CCs may also see the ticket and comment on it.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_watchers (
+      ticket_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      added_by INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (ticket_id, user_id)
+    );
+  `);
+  await pool
+    .query(`CREATE INDEX IF NOT EXISTS idx_ticket_watchers_user_id ON ticket_watchers(user_id);`)
+    .catch(() => {});
+
+  // Typed links between tickets, stored in one direction (see LINK_TYPES)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_links (
+      id SERIAL PRIMARY KEY,
+      source_id INTEGER NOT NULL,
+      target_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      created_by INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (source_id, target_id, type)
+    );
+  `);
+  await pool
+    .query(`CREATE INDEX IF NOT EXISTS idx_ticket_links_target_id ON ticket_links(target_id);`)
+    .catch(() => {});
+
+  // Version of each ticket, its ETag: every update bumps it, whichever service makes it
+  await pool.query(
+    `ALTER TABLE tickets ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;`,
+  );
+  await pool.query(`
+    CREATE OR REPLACE FUNCTION bump_ticket_version() RETURNS trigger AS $$
+    BEGIN
+      NEW.version := OLD.version + 1;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+  await pool.query(`
+    CREATE OR REPLACE TRIGGER tickets_version BEFORE UPDATE ON tickets
+    FOR EACH ROW EXECUTE FUNCTION bump_ticket_version();
+  `);
+
+  // Responses of creates sent with an Idempotency-Key, replayed when the key comes again
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      user_id INTEGER NOT NULL,
+      key TEXT NOT NULL,
+      fingerprint TEXT NOT NULL,
+      status_code INTEGER,
+      response JSON,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (user_id, key)
+    );
+  `);
+
+  // Cold storage: resolved tickets past ARCHIVE_AFTER_DAYS and deleted tickets (deleted_at)
+  // move here with their comments, out of every live view. Same columns as the live tables.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS tickets_archive (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      org_id INTEGER,
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      category TEXT NOT NULL,
+      custom_fields JSONB NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL,
+      priority TEXT NOT NULL,
+      assigned_to INTEGER,
+      merged_into INTEGER,
+      version INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL,
+      updated_at TIMESTAMP NOT NULL,
+      search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'B')
+      ) STORED,
+      archived_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      deleted_at TIMESTAMP,
+      deleted_by INTEGER
+    );
+  `);
+  await pool
+    .query(
+      `CREATE INDEX IF NOT EXISTS idx_tickets_archive_org_archived ON tickets_archive(org_id, archived_at);`,
+    )
+    .catch(() => {});
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_comments_archive (
+      id INTEGER PRIMARY KEY,
+      ticket_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      internal BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP NOT NULL,
+      edited_at TIMESTAMP
+    );
+  `);
+  await pool
+    .query(
+      `CREATE INDEX IF NOT EXISTS idx_ticket_comments_archive_ticket_id ON ticket_comments_archive(ticket_id, created_at);`,
+    )
+    .catch(() => {});
+
+  // Per organization: archived tickets are purged for good this many days after archiving
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS retention_policies (
+      org_id INTEGER PRIMARY KEY,
+      purge_after_days INTEGER NOT NULL,
+      updated_by INTEGER NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // Ticket templates, curated by admins per organization and category: a description
+  // skeleton for the requester to fill in, with the priority and labels new tickets get
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_templates (
+      id SERIAL PRIMARY KEY,
+      org_id INTEGER NOT NULL,
+      category TEXT NOT NULL,
+      name TEXT NOT NULL,
+      title TEXT,
+      description TEXT NOT NULL,
+      priority TEXT,
+      label_ids INTEGER[] NOT NULL DEFAULT '{}',
+      created_by INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool
+    .query(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_ticket_templates_org_name ON ticket_templates(org_id, category, lower(name));`,
+    )
+    .catch(() => {});
+
+  // Unsubmitted tickets saved by their requester; nothing is validated until submission
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_drafts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      org_id INTEGER,
+      title TEXT,
+      description TEXT,
+      category TEXT,
+      priority TEXT,
+      custom_fields JSONB NOT NULL DEFAULT '{}',
+      template_id INTEGER,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await pool
+    .query(`CREATE INDEX IF NOT EXISTS idx_ticket_drafts_user_id ON ticket_drafts(user_id);`)
+    .catch(() => {});
+
+  console.log("Tickets table ready");
+}
+
+const VALID_PRIORITIES = ["low", "medium", "high", "urgent"];
+
+const TICKET_COLUMNS =
+  "id, user_id, org_id, title, description, category, custom_fields, status, priority, assigned_to, merged_into, version, created_at, updated_at";
+
+// Listing: page size and sort keys. Each sort key is an SQL expression plus the type
+// its value is cast back to when it comes in through a cursor.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const SORT_KEYS = {
+  created_at: { expr: "created_at", type: "timestamp" },
+  updated_at: { expr: "updated_at", type: "timestamp" },
+  priority: {
+    expr: "COALESCE(array_position(ARRAY['low', 'medium', 'high', 'urgent'], priority), 0)",
+    type: "int",
+  },
+  status: { expr: "status", type: "text" },
+  // Only with ?q=; `query` is the parsed search query (see listQuery)
+  relevance: { expr: "ts_rank(search_vector, query)", type: "real" },
+};
+
+// Duplicate detection compares the whole text of tickets with pg_trgm. `%` matches at
+// pg_trgm.similarity_threshold (0.3 by default) and is served by idx_tickets_similarity;
+// the expression must stay identical to the index's.
+const SIMILARITY_TEXT = "(title || ' ' || description)";
+const DEFAULT_SIMILAR_LIMIT = 5;
+const MAX_SIMILAR_LIMIT = 20;
+
+const REVISION_COLUMNS =
+  "id, ticket_id, revision, title, description, category, edited_by, restored_from, created_at";
+
+// Fields of a ticket that are versioned in ticket_revisions
+const CONTENT_FIELDS = ["title", "description", "category"];
+
+const LABEL_COLUMNS = "id, org_id, name, color, description, created_by, created_at";
+const MAX_LABEL_LENGTH = 50;
+const MAX_BULK_TICKETS = 500;
+
+// Names of a ticket's labels, as an extra column of a query on tickets
+const LABELS_SELECT = `ARRAY(
+  SELECT l.name FROM ticket_labels tl JOIN labels l ON l.id = tl.label_id
+  WHERE tl.ticket_id = tickets.id ORDER BY lower(l.name)
+) AS labels`;
+
+// Link types as stored (source -> target: "42 duplicate_of 17"), and the inverse names
+// the API also accepts and shows from the target's side ("17 duplicated_by 42").
+// A ticket has at most one original and one parent; duplicate_of, child_of and blocks
+// must not form cycles.
+const LINK_TYPES = {
+  duplicate_of: { inverse: "duplicated_by", single: true, acyclic: true },
+  child_of: { inverse: "parent_of", single: true, acyclic: true },
+  blocks: { inverse: "blocked_by", single: false, acyclic: true },
+  relates_to: { inverse: "relates_to", single: false, acyclic: false },
+};
+const LINK_COLUMNS = "id, source_id, target_id, type, created_by, created_at";
+
+const COMMENT_COLUMNS = "id, ticket_id, user_id, body, internal, created_at, edited_at";
+const WATCHER_COLUMNS = "ticket_id, user_id, added_by, created_at";
+
+// A watcher's channel (S1 profile: notification_channel); SMS needs a phone number
+const WATCHER_CHANNEL = `CASE
+  WHEN u.notification_channel = 'sms' AND u.phone IS NULL THEN 'in_app'
+  ELSE COALESCE(u.notification_channel, 'in_app')
+END`;
+const MAX_COMMENT_LENGTH = 10000;
+
+// Idempotency-Key: at most this long, and remembered for a day
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const IDEMPOTENCY_KEY_TTL = "24 hours";
+
+// Archived and deleted tickets carry when they were archived and, if deleted, when and by whom
+const ARCHIVED_TICKET_COLUMNS = `${TICKET_COLUMNS}, archived_at, deleted_at, deleted_by`;
+// Archiving and purging run hourly, in batches of one transaction each
+const MAINTENANCE_INTERVAL = 60 * 60 * 1000;
+const MAINTENANCE_BATCH_SIZE = 500;
+// Rows of tickets_archive (a) due for purging, joined with their retention policy (p):
+// deleted tickets past the restore window, archived ones past their organization's policy
+const PURGE_DUE = `(a.deleted_at < NOW() - make_interval(days => ${TICKET_RESTORE_DAYS})
+  OR (a.deleted_at IS NULL AND a.archived_at < NOW() - make_interval(days => p.purge_after_days)))`;
+const MAX_RETENTION_DAYS = 36500;
+
+// Categories created on first start; new tickets without a priority get the category's default
+const DEFAULT_CATEGORIES = [
+  { name: "bug", label: "Bug", default_priority: "high" },
+  { name: "feature", label: "Feature Request", default_priority: "medium" },
+  { name: "support", label: "Support", default_priority: "medium" },
+  { name: "other", label: "Other", default_priority: "low" },
+];
+// Import and export (admins). An import row sets these fields; requester and assignee are
+// users of the organization, found by email. Exports stream EXPORT_BATCH_SIZE tickets at a time.
+const IMPORT_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "priority",
+  "status",
+  "requester_email",
+  "assignee_email",
+  "labels",
+  "custom_fields",
+  "created_at",
+  "updated_at",
+];
+const IMPORT_FORMATS = {
+  csv: ["text/csv"],
+  ndjson: ["application/x-ndjson", "application/jsonl"],
+};
+const IMPORT_MAX_SIZE = "20mb";
+const MAX_IMPORT_ROWS = 5000;
+const EXPORT_BATCH_SIZE = 500;
+// Export columns match IMPORT_FIELDS, so an export can be imported again as it is
+const EXPORT_COLUMNS = ["id", ...IMPORT_FIELDS, "user_id", "assigned_to", "org_id", "merged_into"];
+const EXPORT_SELECT = `${TICKET_COLUMNS},
+  (SELECT email FROM users WHERE id = tickets.user_id) AS requester_email,
+  (SELECT email FROM users WHERE id = tickets.assigned_to) AS assignee_email,
+  ${LABELS_SELECT}`;
+const HISTORY_EXPORT_COLUMNS = [
+  "id",
+  "ticket_id",
+  "changed_by",
+  "changed_by_email",
+  "field_name",
+  "old_value",
+  "new_value",
+  "changed_at",
+];
+
+const CATEGORY_COLUMNS = "name, label, default_priority, fields, active, created_at, updated_at";
+const CATEGORY_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,39}$/;
+
+const TEMPLATE_COLUMNS =
+  "id, org_id, category, name, title, description, priority, created_by, created_at, updated_at";
+// Names of a template's labels, as an extra column of a query on ticket_templates; labels
+// deleted since drop out
+const TEMPLATE_LABELS_SELECT = `ARRAY(
+  SELECT l.name FROM labels l WHERE l.id = ANY(ticket_templates.label_ids) ORDER BY lower(l.name)
+) AS labels`;
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+
+const DRAFT_COLUMNS =
+  "id, user_id, org_id, title, description, category, priority, custom_fields, template_id, created_at, updated_at";
+const MAX_DRAFTS_PER_USER = 50;
+
+function isStaffUser(user) {
+  return user.role === "staff" || user.role === "admin";
+}
+
+// A ticket the user may see (staff: any in their organization, users: their own and those
+// they are CC'd on), or null. Inside a transaction pass its client: the row is then locked
+// until it ends.
+async function findVisibleTicket(ticketId, user, client = null) {
+  const result = await (client || pool).query(
+    `SELECT ${TICKET_COLUMNS}
+     FROM tickets
+     WHERE id = $1 AND ($2::int IS NULL OR org_id = $2)
+       AND ($3 OR user_id = $4 OR EXISTS (
+         SELECT 1 FROM ticket_watchers w WHERE w.ticket_id = tickets.id AND w.user_id = $4
+       ))
+     ${client ? "FOR UPDATE" : ""}`,
+    [ticketId, orgScope(user), isStaffUser(user), user.sub],
+  );
+  return result.rows[0] || null;
+}
+
+// An archived or deleted ticket the user may see, as findVisibleTicket; deleted tickets are
+// only shown to staff. Archived tickets are read-only.
+async function findArchivedTicket(ticketId, user) {
+  const result = await pool.query(
+    `SELECT ${ARCHIVED_TICKET_COLUMNS}
+     FROM tickets_archive
+     WHERE id = $1 AND ($2::int IS NULL OR org_id = $2) AND (deleted_at IS NULL OR $3)
+       AND ($3 OR user_id = $4 OR EXISTS (
+         SELECT 1 FROM ticket_watchers w WHERE w.ticket_id = tickets_archive.id AND w.user_id = $4
+       ))`,
+    [ticketId, orgScope(user), isStaffUser(user), user.sub],
+  );
+  return result.rows[0] || null;
+}
+
+// A live or archived ticket the user may see, for the routes that only read it
+async function findReadableTicket(ticketId, user) {
+  return (await findVisibleTicket(ticketId, user)) || (await findArchivedTicket(ticketId, user));
+}
+
+// Several visible tickets by id (null for those the user may not see), locked in id
+// order so that two transactions locking the same tickets cannot deadlock
+async function lockVisibleTickets(client, ids, user) {
+  const found = {};
+  for (const id of [...ids].sort((a, b) => a - b)) {
+    found[id] = await findVisibleTicket(id, user, client);
+  }
+  return found;
+}
+
+// Open tickets whose text is similar to `text`, most similar first: the likely duplicates
+// of a ticket being written. Only tickets the user may see, in one organization (null: all).
+async function findSimilarTickets(text, user, orgId, limit = DEFAULT_SIMILAR_LIMIT) {
+  const result = await pool.query(
+    `SELECT id, user_id, title, category, status, priority, created_at,
+       round(similarity(${SIMILARITY_TEXT}, $1)::numeric, 2)::float AS similarity
+     FROM tickets
+     WHERE ${SIMILARITY_TEXT} % $1 AND status != 'resolved' AND merged_into IS NULL
+       AND ($2::int IS NULL OR org_id = $2)
+       AND ($3 OR user_id = $4 OR EXISTS (
+         SELECT 1 FROM ticket_watchers w WHERE w.ticket_id = tickets.id AND w.user_id = $4
+       ))
+     ORDER BY similarity DESC, id DESC
+     LIMIT $5`,
+    [text, orgId, isStaffUser(user), user.sub, limit],
+  );
+  return result.rows;
+}
+
+// A ticket's version is its ETag (see the tickets_version trigger)
+function ticketETag(ticket) {
+  return `"${ticket.version}"`;
+}
+
+// If-Match of a write that no longer matches the ticket: someone else changed it since the
+// client read it. Without If-Match the write goes ahead.
+function ifMatchFails(req, ticket) {
+  const header = req.get("If-Match");
+  if (header === undefined) return false;
+  const tags = header.split(",").map((tag) => tag.trim());
+  return !tags.includes("*") && !tags.includes(ticketETag(ticket));
+}
+
+// The 412 outcome of a write whose If-Match failed; the route answers with the current ETag
+function changedTicketOutcome(ticket) {
+  return {
+    status: 412,
+    body: { error: "ticket was changed by someone else; reload it and try again" },
+    ticket,
+  };
+}
+
+// The Idempotency-Key header of a create: { key }, {} without one, or { error }
+function idempotencyKey(req) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return {};
+  if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return { error: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters` };
+  }
+  return { key };
+}
+
+// Claim an Idempotency-Key in the transaction of the create. Returns null for a new key: the
+// create goes ahead and saveIdempotentOutcome stores its response. Otherwise returns the
+// outcome to send instead: the stored response, or 409 when the key came with another
+// request. A retry arriving while the first request runs waits for its transaction.
+async function claimIdempotencyKey(client, req, key) {
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([req.method, req.originalUrl, req.body]))
+    .digest("hex");
+  await client.query(
+    `DELETE FROM idempotency_keys
+     WHERE user_id = $1 AND created_at < NOW() - INTERVAL '${IDEMPOTENCY_KEY_TTL}'`,
+    [req.user.sub],
+  );
+  const claimed = await client.query(
+    `INSERT INTO idempotency_keys (user_id, key, fingerprint) VALUES ($1, $2, $3)
+     ON CONFLICT DO NOTHING`,
+    [req.user.sub, key, fingerprint],
+  );
+  if (claimed.rowCount > 0) return null;
+
+  const stored = await client.query(
+    "SELECT fingerprint, status_code, response FROM idempotency_keys WHERE user_id = $1 AND key = $2",
+    [req.user.sub, key],
+  );
+  const previous = stored.rows[0];
+  if (previous.fingerprint !== fingerprint) {
+    return {
+      status: 409,
+      body: { error: "Idempotency-Key was already used for a different request" },
+    };
+  }
+  return { status: previous.status_code, body: previous.response, replayed: true };
+}
+
+async function saveIdempotentOutcome(client, req, key, outcome) {
+  await client.query(
+    "UPDATE idempotency_keys SET status_code = $3, response = $4 WHERE user_id = $1 AND key = $2",
+    [req.user.sub, key, outcome.status, JSON.stringify(outcome.body)],
+  );
+}
+
+// Error for changes to a merged ticket; its conversation goes on in the survivor
+function mergedTicketError(ticket) {
+  return `ticket was merged into #${ticket.merged_into}`;
+}
+
+// Role check against the database, so a demotion applies before the token expires
+function requireRole(roles, error) {
+  return async (req, res, next) => {
+    try {
+      const result = await pool.query("SELECT role, is_active FROM users WHERE id = $1", [
+        req.user.sub,
+      ]);
+      const account = result.rows[0];
+      if (!account || !account.is_active) {
+        return res.status(403).json({ error: "account deactivated" });
+      }
+      if (!roles.includes(account.role)) {
+        return res.status(403).json({ error });
+      }
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "internal error" });
+    }
+    next();
+  };
+}
+
+const requireAdmin = requireRole(["admin"], "requires admin role");
+// Service accounts act for other services; their API key scopes are the limit
+const requireStaff = requireRole(["staff", "admin", "service"], "requires staff or admin role");
+// Routes that act on behalf of other users, such as the mail gateway's inbound emails
+const requireService = requireRole(["service"], "requires a service account");
+
+async function sendNotification(userId, ticketId, type, message, channel = "in_app") {
+  if (!SERVICE_API_KEY) {
+    console.warn("SERVICE_API_KEY not set, skipping notification");
+    return;
+  }
+  try {
+    const response = await fetch(`${NOTIFICATION_SERVICE_URL}/notify`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${SERVICE_API_KEY}`,
+      },
+      body: JSON.stringify({
+        user_id: userId,
+        ticket_id: ticketId,
+        type,
+        channel,
+        message,
+      }),
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!response.ok) {
+      throw new Error(`S6 answered ${response.status}`);
+    }
+  } catch (error) {
+    // A failed notification never fails the request
+    console.error("Failed to send notification:", error.message);
+  }
+}
+
+// Store a file for a ticket in S5 (as this service's account); returns S5's file record
+async function uploadAttachment(ticketId, attachment) {
+  if (!SERVICE_API_KEY) {
+    throw new Error("SERVICE_API_KEY not set");
+  }
+  const form = new FormData();
+  form.append("ticket_id", String(ticketId));
+  form.append(
+    "file",
+    new Blob([attachment.content], { type: attachment.contentType }),
+    attachment.filename,
+  );
+  const response = await fetch(`${MEDIA_SERVICE_URL}/upload`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${SERVICE_API_KEY}` },
+    body: form,
+    signal: AbortSignal.timeout(30000),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `S5 answered ${response.status}`);
+  }
+  return data;
+}
+
+// Delete every file of a ticket in S5 (as this service's account), before the ticket is purged
+async function deleteTicketFiles(ticketId) {
+  if (!SERVICE_API_KEY) {
+    throw new Error("SERVICE_API_KEY not set");
+  }
+  const response = await fetch(`${MEDIA_SERVICE_URL}/ticket/${ticketId}`, {
+    method: "DELETE",
+    headers: { Authorization: `Bearer ${SERVICE_API_KEY}` },
+    signal: AbortSignal.timeout(30000),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `S5 answered ${response.status}`);
+  }
+}
+
+// Tell the ticket's watchers about an event, each on their own channel. `skip`: users
+// who caused the event or were told already. Internal events only reach staff watchers.
+async function notifyWatchers(ticket, type, message, skip, internal = false) {
+  try {
+    const result = await pool.query(
+      `SELECT w.user_id, ${WATCHER_CHANNEL} AS channel
+       FROM ticket_watchers w JOIN users u ON u.id = w.user_id
+       WHERE w.ticket_id = $1 AND u.is_active AND NOT (w.user_id = ANY($2::int[]))
+         AND (NOT $3 OR u.role IN ('staff', 'admin'))`,
+      [ticket.id, skip.filter((id) => id !== null), internal],
+    );
+    for (const watcher of result.rows) {
+      sendNotification(watcher.user_id, ticket.id, type, message, watcher.channel);
+    }
+  } catch (error) {
+    console.error("Failed to notify watchers:", error.message);
+  }
+}
+
+// Tell the other party about a public comment: the requester when staff comment,
+// the assignee when the requester comments (nobody is told about their own comment).
+// Watchers hear of every comment; of internal notes only staff.
+function notifyComment(ticket, comment) {
+  const recipients = new Set(comment.internal ? [] : [ticket.user_id, ticket.assigned_to]);
+  recipients.delete(null);
+  recipients.delete(comment.user_id);
+
+  const preview = comment.body.length > 200 ? `${comment.body.slice(0, 200)}...` : comment.body;
+  const message = `New ${comment.internal ? "internal note" : "comment"} on ticket #${ticket.id}: ${preview}`;
+  for (const userId of recipients) {
+    sendNotification(userId, ticket.id, "ticket_commented", message);
+  }
+  notifyWatchers(
+    ticket,
+    "ticket_commented",
+    message,
+    [comment.user_id, ...recipients],
+    comment.internal,
+  );
+}
+
+// Tell the other party that a requester closed or reopened their ticket
+function notifyRequesterAction(ticket, action, actorId) {
+  const recipients = new Set([ticket.user_id, ticket.assigned_to]);
+  recipients.delete(null);
+  recipients.delete(actorId);
+
+  const type = action === "close" ? "ticket_closed" : "ticket_status_changed";
+  const message =
+    action === "close"
+      ? `Ticket #${ticket.id} '${ticket.title}' was closed by its requester`
+      : `Ticket #${ticket.id} '${ticket.title}' was reopened by its requester (now ${ticket.status})`;
+  for (const userId of recipients) {
+    sendNotification(userId, ticket.id, type, message);
+  }
+  notifyWatchers(ticket, type, message, [actorId, ...recipients]);
+}
+
+// Tell the requester of a ticket closed as a duplicate where the work continues
+function notifyDuplicate(ticket, original, actorId) {
+  const message = `Ticket #${ticket.id} '${ticket.title}' was closed as a duplicate of ticket #${original.id} '${original.title}'`;
+  if (ticket.user_id !== actorId) {
+    sendNotification(ticket.user_id, ticket.id, "ticket_closed", message);
+  }
+  notifyWatchers(ticket, "ticket_closed", message, [actorId, ticket.user_id]);
+}
+
+// Tell the requester of a merged ticket where the conversation continues, and the
+// survivor's watchers (which include the merged ticket's staff watchers) about the merge
+function notifyMerge(ticket, survivor, actorId) {
+  const message = `Ticket #${ticket.id} '${ticket.title}' was merged into ticket #${survivor.id} '${survivor.title}'`;
+  if (ticket.user_id !== actorId) {
+    sendNotification(ticket.user_id, ticket.id, "ticket_closed", message);
+  }
+  notifyWatchers(survivor, "ticket_updated", message, [actorId, ticket.user_id]);
+}
+
+// Validate a comment body; returns an error message or null
+function validateCommentBody(body) {
+  if (typeof body !== "string" || !body.trim()) {
+    return "body is required";
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    return `body must be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Content fields present in a request body, normalized, or { error }
+function parseContentFields(body) {
+  const content = {};
+  for (const field of ["title", "description"]) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== "string" || !body[field].trim()) {
+      return { error: `${field} must be a non-empty string` };
+    }
+    content[field] = body[field];
+  }
+  // Whether the category exists is checked against ticket_categories (see findCategory)
+  if (body.category !== undefined) {
+    if (typeof body.category !== "string" || !body.category.trim()) {
+      return { error: "category must be a non-empty string" };
+    }
+    content.category = body.category.trim().toLowerCase();
+  }
+  return { content };
+}
+
+// A category by name, or null; only active ones (usable for tickets) unless includeInactive
+async function findCategory(db, name, includeInactive = false) {
+  const result = await db.query(
+    `SELECT ${CATEGORY_COLUMNS} FROM ticket_categories WHERE name = $1 AND ($2 OR active)`,
+    [name, includeInactive],
+  );
+  return result.rows[0] || null;
+}
+
+async function categoryNames(includeInactive = false, db = pool) {
+  const result = await db.query(
+    `SELECT name FROM ticket_categories WHERE $1 OR active ORDER BY created_at, name`,
+    [includeInactive],
+  );
+  return result.rows.map((row) => row.name);
+}
+
+// Error message for a category that is unknown or no longer used for new tickets
+async function unknownCategoryError(db = pool) {
+  return `category must be one of: ${(await categoryNames(false, db)).join(", ")}`;
+}
+
+// Custom fields of a ticket moving to `category` (or staying in it), which must be active
+// unless the ticket already has it. A new category keeps the values of fields it also
+// defines; `values` from a request replace the stored ones. Returns { customFields }, null
+// when they stay as they are, or { error }.
+async function categoryCustomFields(db, ticket, category, values) {
+  const categoryChanged = category !== ticket.category;
+  const target = await findCategory(db, category, !categoryChanged);
+  if (!target) return { error: await unknownCategoryError(db) };
+
+  const carried = Object.fromEntries(
+    Object.entries(ticket.custom_fields).filter(([key]) =>
+      target.fields.some((field) => field.key === key),
+    ),
+  );
+  const checked = validateFieldValues(target.fields, values ?? carried);
+  if (checked.error) return { error: checked.error };
+
+  const stored = Object.entries(ticket.custom_fields);
+  const unchanged =
+    stored.length === Object.keys(checked.values).length &&
+    stored.every(([key, value]) => checked.values[key] === value);
+  return { customFields: unchanged ? null : checked.values };
+}
+
+// Validate a category's label, default priority and fields; returns { values } or { error }
+function parseCategoryFields(body) {
+  const values = {};
+  if (body.label !== undefined) {
+    if (typeof body.label !== "string" || !body.label.trim()) {
+      return { error: "label must be a non-empty string" };
+    }
+    values.label = body.label.trim();
+  }
+  if (body.default_priority !== undefined) {
+    if (!VALID_PRIORITIES.includes(body.default_priority)) {
+      return { error: `default_priority must be one of: ${VALID_PRIORITIES.join(", ")}` };
+    }
+    values.default_priority = body.default_priority;
+  }
+  if (body.fields !== undefined) {
+    const { fields, error } = validateFieldDefinitions(body.fields);
+    if (error) return { error };
+    values.fields = JSON.stringify(fields);
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") return { error: "active must be true or false" };
+    values.active = body.active;
+  }
+  return { values };
+}
+
+// Validate a template's name, category, title, description, priority and labels (names);
+// returns { values } or { error }. A null title or priority leaves them to the requester
+// and the category.
+function parseTemplateFields(body) {
+  const values = {};
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "name must be a non-empty string" };
+    }
+    if (body.name.trim().length > MAX_TEMPLATE_NAME_LENGTH) {
+      return { error: `name must be at most ${MAX_TEMPLATE_NAME_LENGTH} characters` };
+    }
+    values.name = body.name.trim();
+  }
+  const { content, error } = parseContentFields({
+    description: body.description,
+    category: body.category,
+  });
+  if (error) return { error };
+  Object.assign(values, content);
+  if (body.title !== undefined) {
+    if (body.title !== null && typeof body.title !== "string") {
+      return { error: "title must be a string or null" };
+    }
+    // Kept as it is: a prefix such as "[Bug] " is completed by the requester
+    values.title = body.title?.trim() ? body.title : null;
+  }
+  if (body.priority !== undefined) {
+    if (body.priority !== null && !VALID_PRIORITIES.includes(body.priority)) {
+      return { error: `priority must be one of: ${VALID_PRIORITIES.join(", ")}, or null` };
+    }
+    values.priority = body.priority;
+  }
+  if (body.labels !== undefined) {
+    const labels =
+      Array.isArray(body.labels) && body.labels.length === 0
+        ? { names: [] }
+        : parseLabelNames(body.labels);
+    if (labels.error) return { error: labels.error };
+    values.labels = labels.names;
+  }
+  return { values };
+}
+
+// A template with its label ids and names, or null. orgId null (cross-org admins): any
+// organization's.
+async function findTemplate(db, templateId, orgId) {
+  const result = await db.query(
+    `SELECT ${TEMPLATE_COLUMNS}, label_ids, ${TEMPLATE_LABELS_SELECT}
+     FROM ticket_templates WHERE id = $1 AND ($2::int IS NULL OR org_id = $2)`,
+    [templateId, orgId],
+  );
+  return result.rows[0] || null;
+}
+
+// A draft's fields from a request body, or { error }. Only types are checked: the ticket is
+// validated when the draft is submitted through POST /.
+function parseDraftFields(body) {
+  const values = {};
+  for (const field of ["title", "description", "category"]) {
+    const value = body[field] ?? null;
+    if (value !== null && typeof value !== "string") {
+      return { error: `${field} must be a string` };
+    }
+    values[field] = value;
+  }
+  if (!values.title?.trim() && !values.description?.trim()) {
+    return { error: "title or description is required" };
+  }
+  if (values.category !== null) values.category = values.category.trim().toLowerCase() || null;
+
+  values.priority = body.priority || null;
+  if (values.priority !== null && !VALID_PRIORITIES.includes(values.priority)) {
+    return { error: `priority must be one of: ${VALID_PRIORITIES.join(", ")}` };
+  }
+  const customFields = body.custom_fields ?? {};
+  if (typeof customFields !== "object" || Array.isArray(customFields)) {
+    return { error: "custom_fields must be an object" };
+  }
+  values.customFields = JSON.stringify(customFields);
+  values.templateId = body.template_id == null ? null : parseInt(body.template_id);
+  if (isNaN(values.templateId)) {
+    return { error: "template_id must be a template id" };
+  }
+  return { values };
+}
+
+// Middleware (after requireAdmin): categories are shared by every organization
+function requireCrossOrgAdmin(req, res, next) {
+  if (orgScope(req.user) !== null) {
+    return res.status(403).json({ error: "requires cross-org admin" });
+  }
+  next();
+}
+
+// Run fn(client) inside a transaction on one pooled connection
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Record a change in the ticket_history timeline (shared with s4-workflow)
+async function logChange(client, ticketId, userId, fieldName, oldValue, newValue) {
+  await client.query(
+    `INSERT INTO ticket_history (ticket_id, changed_by, field_name, old_value, new_value)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [ticketId, userId, fieldName, oldValue, newValue],
+  );
+}
+
+// Create a ticket with its first revision. `fields`: { userId, orgId, title, description,
+// category, customFields, priority }, already validated. Imports also pass the ticket's
+// original status, assignedTo, createdAt and updatedAt.
+async function insertTicket(client, fields) {
+  const result = await client.query(
+    `INSERT INTO tickets
+       (user_id, org_id, title, description, category, custom_fields, priority,
+        status, assigned_to, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 'new'), $9,
+             COALESCE($10::timestamptz, NOW()), COALESCE($11::timestamptz, $10::timestamptz, NOW()))
+     RETURNING id, user_id, org_id, title, description, category, custom_fields, status, priority, created_at`,
+    [
+      fields.userId,
+      fields.orgId,
+      fields.title,
+      fields.description,
+      fields.category,
+      JSON.stringify(fields.customFields),
+      fields.priority,
+      fields.status ?? null,
+      fields.assignedTo ?? null,
+      fields.createdAt ?? null,
+      fields.updatedAt ?? null,
+    ],
+  );
+  const created = result.rows[0];
+  await client.query(
+    `INSERT INTO ticket_revisions (ticket_id, revision, title, description, category, edited_by, created_at)
+     VALUES ($1, 1, $2, $3, $4, $5, $6)`,
+    [
+      created.id,
+      created.title,
+      created.description,
+      created.category,
+      fields.userId,
+      created.created_at,
+    ],
+  );
+  return created;
+}
+
+// Store the ticket's new content as the next revision and log each changed field
+// in ticket_history. `before` is the ticket as it was, `after` as it is now.
+async function recordRevision(client, before, after, editedBy, restoredFrom = null) {
+  const result = await client.query(
+    `INSERT INTO ticket_revisions
+       (ticket_id, revision, title, description, category, edited_by, restored_from)
+     SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3, $4, $5, $6
+     FROM ticket_revisions WHERE ticket_id = $1
+     RETURNING ${REVISION_COLUMNS}`,
+    [after.id, after.title, after.description, after.category, editedBy, restoredFrom],
+  );
+  const revision = result.rows[0];
+
+  for (const field of CONTENT_FIELDS) {
+    if (before[field] === after[field]) continue;
+    // Descriptions can be long: the timeline points at the revisions instead
+    const [oldValue, newValue] =
+      field === "description"
+        ? [`revision ${revision.revision - 1}`, `revision ${revision.revision}`]
+        : [before[field], after[field]];
+    await logChange(client, after.id, editedBy, field, oldValue, newValue);
+  }
+  return revision;
+}
+
+// Move tickets with their comments to the archive tables; with deletedBy they are deleted
+// rather than archived. Labels, links, watchers, history and files stay where they are,
+// keyed by the ticket id, and come back with a restored ticket.
+async function archiveTickets(client, ids, deletedBy = null) {
+  await client.query(
+    `WITH moved AS (DELETE FROM tickets WHERE id = ANY($1) RETURNING ${TICKET_COLUMNS})
+     INSERT INTO tickets_archive (${TICKET_COLUMNS}, deleted_at, deleted_by)
+     SELECT ${TICKET_COLUMNS}, CASE WHEN $2::int IS NOT NULL THEN NOW() END, $2 FROM moved`,
+    [ids, deletedBy],
+  );
+  await client.query(
+    `WITH moved AS (DELETE FROM ticket_comments WHERE ticket_id = ANY($1) RETURNING ${COMMENT_COLUMNS})
+     INSERT INTO ticket_comments_archive (${COMMENT_COLUMNS})
+     SELECT ${COMMENT_COLUMNS} FROM moved`,
+    [ids],
+  );
+}
+
+// Move a ticket and its comments back from the archive tables. Coming back counts as a
+// change: its version moves on, so ETags from before it was deleted no longer match.
+async function unarchiveTicket(client, id) {
+  await client.query(
+    `WITH moved AS (DELETE FROM tickets_archive WHERE id = $1 RETURNING ${TICKET_COLUMNS})
+     INSERT INTO tickets (${TICKET_COLUMNS}) SELECT ${TICKET_COLUMNS} FROM moved`,
+    [id],
+  );
+  await client.query(
+    `WITH moved AS (DELETE FROM ticket_comments_archive WHERE ticket_id = $1 RETURNING ${COMMENT_COLUMNS})
+     INSERT INTO ticket_comments (${COMMENT_COLUMNS}) SELECT ${COMMENT_COLUMNS} FROM moved`,
+    [id],
+  );
+  const result = await client.query(
+    `UPDATE tickets SET updated_at = NOW() WHERE id = $1 RETURNING ${TICKET_COLUMNS}`,
+    [id],
+  );
+  return result.rows[0];
+}
+
+// Delete archived tickets for good, with everything that refers to them: their files (in S5,
+// which owns them on disk), comments, history, revisions, labels, links, watchers, inbound
+// emails, notifications (S6) and feedback (S8). Tickets whose files S5 could not delete are
+// left for the next run; returns the ids purged.
+async function purgeTickets(ids) {
+  // The media, notifications and feedback tables exist once S5, S6 and S8 have started
+  const tables = await pool.query(
+    `SELECT to_regclass('media_files') IS NOT NULL AS media,
+       to_regclass('notifications') IS NOT NULL AS notifications,
+       to_regclass('feedback') IS NOT NULL AS feedback`,
+  );
+  const { media, notifications, feedback } = tables.rows[0];
+
+  const failed = new Set();
+  if (media) {
+    const withFiles = await pool.query(
+      "SELECT DISTINCT ticket_id FROM media_files WHERE ticket_id = ANY($1)",
+      [ids],
+    );
+    for (const { ticket_id: ticketId } of withFiles.rows) {
+      try {
+        await deleteTicketFiles(ticketId);
+      } catch (error) {
+        console.error(`Could not delete the files of ticket #${ticketId}:`, error.message);
+        failed.add(ticketId);
+      }
+    }
+  }
+  const purged = ids.filter((id) => !failed.has(id));
+  if (purged.length === 0) return purged;
+
+  await withTransaction(async (client) => {
+    const remove = (table, column = "ticket_id") =>
+      client.query(`DELETE FROM ${table} WHERE ${column} = ANY($1)`, [purged]);
+    await remove("tickets_archive", "id");
+    await remove("ticket_comments_archive");
+    await remove("ticket_history");
+    await remove("ticket_revisions");
+    await remove("ticket_labels");
+    await remove("ticket_watchers");
+    await remove("inbound_emails");
+    await client.query(
+      "DELETE FROM ticket_links WHERE source_id = ANY($1) OR target_id = ANY($1)",
+      [purged],
+    );
+    if (notifications) await remove("notifications");
+    if (feedback) await remove("feedback");
+  });
+  return purged;
+}
+
+// Archive resolved tickets unchanged for ARCHIVE_AFTER_DAYS; returns how many. SKIP LOCKED
+// leaves tickets being changed right now, and those another S2 instance is archiving, for
+// the next run.
+async function archiveResolvedTickets() {
+  let archived = 0;
+  for (;;) {
+    const count = await withTransaction(async (client) => {
+      const due = await client.query(
+        `SELECT id FROM tickets
+         WHERE status = 'resolved' AND updated_at < NOW() - make_interval(days => $1)
+         ORDER BY id
+         LIMIT ${MAINTENANCE_BATCH_SIZE}
+         FOR UPDATE SKIP LOCKED`,
+        [ARCHIVE_AFTER_DAYS],
+      );
+      await archiveTickets(
+        client,
+        due.rows.map((row) => row.id),
+      );
+      return due.rows.length;
+    });
+    archived += count;
+    if (count < MAINTENANCE_BATCH_SIZE) return archived;
+  }
+}
+
+// Purge the archived and deleted tickets that are due (see PURGE_DUE); returns how many
+async function purgeExpiredTickets() {
+  let purged = 0;
+  let lastId = 0;
+  for (;;) {
+    const due = await pool.query(
+      `SELECT a.id FROM tickets_archive a
+       LEFT JOIN retention_policies p ON p.org_id = a.org_id
+       WHERE ${PURGE_DUE} AND a.id > $1
+       ORDER BY a.id
+       LIMIT ${MAINTENANCE_BATCH_SIZE}`,
+      [lastId],
+    );
+    if (due.rows.length === 0) return purged;
+    const ids = due.rows.map((row) => row.id);
+    purged += (await purgeTickets(ids)).length;
+    lastId = ids[ids.length - 1];
+  }
+}
+
+// Hourly: archive resolved tickets, then purge what is due
+async function runTicketMaintenance() {
+  try {
+    const archived = await archiveResolvedTickets();
+    const purged = await purgeExpiredTickets();
+    if (archived > 0 || purged > 0) {
+      console.log(`Ticket maintenance: ${archived} archived, ${purged} purged`);
+    }
+  } catch (err) {
+    console.error("Ticket maintenance failed:", err.message);
+  }
+}
+
+// An organization's retention policy (purge_after_days null: archived tickets are kept)
+// and how many of its tickets are archived, deleted and due for purging
+async function retentionSummary(orgId) {
+  const policy = await pool.query(
+    "SELECT purge_after_days, updated_by, updated_at FROM retention_policies WHERE org_id = $1",
+    [orgId],
+  );
+  const counts = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE a.deleted_at IS NULL)::int AS archived,
+       COUNT(*) FILTER (WHERE a.deleted_at IS NOT NULL)::int AS deleted,
+       COUNT(*) FILTER (WHERE ${PURGE_DUE})::int AS due_for_purge
+     FROM tickets_archive a
+     LEFT JOIN retention_policies p ON p.org_id = a.org_id
+     WHERE a.org_id = $1`,
+    [orgId],
+  );
+  return {
+    org_id: orgId,
+    purge_after_days: null,
+    updated_by: null,
+    updated_at: null,
+    ...policy.rows[0],
+    archive_after_days: ARCHIVE_AFTER_DAYS,
+    restore_days: TICKET_RESTORE_DAYS,
+    ...counts.rows[0],
+  };
+}
+
+// Organization of a retention request: the admin's own; cross-org admins pass ?org_id=
+function retentionOrgId(req) {
+  return orgScope(req.user) === null && req.query.org_id !== undefined
+    ? parseInt(req.query.org_id)
+    : req.user.org_id;
+}
+
+// Label names from a request: an array of strings, or { error }
+function parseLabelNames(value, name = "labels") {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: `${name} must be a non-empty array of label names` };
+  }
+  if (value.some((label) => typeof label !== "string" || !label.trim())) {
+    return { error: `${name} must only contain label names` };
+  }
+  return { names: [...new Set(value.map((label) => label.trim().toLowerCase()))] };
+}
+
+// Validate a label's name and color; returns an error message or null
+function validateLabel({ name, color }) {
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) return "name is required";
+    if (name.trim().length > MAX_LABEL_LENGTH) {
+      return `name must be at most ${MAX_LABEL_LENGTH} characters`;
+    }
+    // Commas separate labels in ?label= filters
+    if (name.includes(",")) return "name must not contain commas";
+  }
+  if (color !== undefined && color !== null && !/^#[0-9a-f]{6}$/i.test(color)) {
+    return "color must be a hex color like #d73a4a";
+  }
+  return null;
+}
+
+// Labels of one organization by (lowercased) name: { labels } or { error } naming the unknown ones
+async function resolveLabels(db, orgId, names) {
+  const result = await db.query(
+    `SELECT ${LABEL_COLUMNS} FROM labels WHERE org_id = $1 AND lower(name) = ANY($2)`,
+    [orgId, names],
+  );
+  const found = new Set(result.rows.map((label) => label.name.toLowerCase()));
+  const unknown = names.filter((name) => !found.has(name));
+  if (unknown.length > 0) {
+    return { error: `unknown label(s): ${unknown.join(", ")}` };
+  }
+  return { labels: result.rows };
+}
+
+// Add and remove labels on tickets of one organization, recording each change in the
+// timeline; returns the number of labels actually added and removed
+async function applyLabels(client, ticketIds, add, remove, userId) {
+  const added = await client.query(
+    `INSERT INTO ticket_labels (ticket_id, label_id, added_by)
+     SELECT t.id, l.id, $3 FROM unnest($1::int[]) AS t(id), unnest($2::int[]) AS l(id)
+     ON CONFLICT DO NOTHING
+     RETURNING ticket_id, label_id`,
+    [ticketIds, add.map((label) => label.id), userId],
+  );
+  const removed = await client.query(
+    `DELETE FROM ticket_labels WHERE ticket_id = ANY($1) AND label_id = ANY($2)
+     RETURNING ticket_id, label_id`,
+    [ticketIds, remove.map((label) => label.id)],
+  );
+
+  const names = new Map([...add, ...remove].map((label) => [label.id, label.name]));
+  for (const row of added.rows) {
+    await logChange(client, row.ticket_id, userId, "label", null, names.get(row.label_id));
+  }
+  for (const row of removed.rows) {
+    await logChange(client, row.ticket_id, userId, "label", names.get(row.label_id), null);
+  }
+  return { added: added.rowCount, removed: removed.rowCount };
+}
+
+// A link type from a request as { type, reversed }: reversed when the inverse name was
+// given (parent_of: the other ticket is the child), or null when unknown
+function parseLinkType(value) {
+  for (const [type, rule] of Object.entries(LINK_TYPES)) {
+    if (value === type) return { type, reversed: false };
+    if (value === rule.inverse) return { type, reversed: true };
+  }
+  return null;
+}
+
+// A link as seen from one of its tickets; `other` is the ticket at the far end
+function presentLink(link, ticketId, other) {
+  return {
+    id: link.id,
+    type: link.source_id === ticketId ? link.type : LINK_TYPES[link.type].inverse,
+    ticket: other,
+    created_by: link.created_by,
+    created_at: link.created_at,
+  };
+}
+
+// Would a source -> target link close a loop of links of this type?
+async function createsCycle(db, sourceId, targetId, type) {
+  const result = await db.query(
+    `WITH RECURSIVE reachable(id) AS (
+       SELECT $1::int
+       UNION
+       SELECT l.target_id FROM ticket_links l JOIN reachable r ON l.source_id = r.id
+       WHERE l.type = $3
+     )
+     SELECT 1 FROM reachable WHERE id = $2`,
+    [targetId, sourceId, type],
+  );
+  return result.rows.length > 0;
+}
+
+// Comma-separated filter values, e.g. ?status=new,assigned
+function parseListParam(value, validValues, name) {
+  const values = String(value)
+    .toLowerCase()
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+  if (values.length === 0 || values.some((v) => !validValues.includes(v))) {
+    return { error: `${name} must be one or more of: ${validValues.join(", ")}` };
+  }
+  return { values };
+}
+
+// Cursors are opaque to clients: the sort key and id of the last ticket of a page
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify([sort, row.sort_value, row.id])).toString("base64url");
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const [cursorSort, value, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (cursorSort !== sort || typeof value !== "string" || !Number.isInteger(id)) return null;
+    return { value, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Build the SQL for GET / from its query parameters.
+// Returns { error } or { from, conditions, params, sort, descending, limit, cursor }.
+function listQuery(query, user, categories) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [];
+
+  const org = param(orgScope(user));
+  conditions.push(`(${org}::int IS NULL OR org_id = ${org})`);
+
+  // Staff/Admin see every ticket and may filter by owner, regular users only see their own
+  // and those they are CC'd on
+  const watched = () =>
+    `EXISTS (SELECT 1 FROM ticket_watchers w
+             WHERE w.ticket_id = tickets.id AND w.user_id = ${param(user.sub)})`;
+  if (!isStaffUser(user)) {
+    conditions.push(`(user_id = ${param(user.sub)} OR ${watched()})`);
+  } else if (query.user_id !== undefined) {
+    const ownerId = parseInt(query.user_id);
+    if (isNaN(ownerId)) return { error: "invalid user_id" };
+    conditions.push(`user_id = ${param(ownerId)}`);
+  }
+
+  // watching=true: only tickets the user watches or is CC'd on
+  if (query.watching !== undefined) {
+    if (query.watching !== "true") return { error: "watching must be true" };
+    conditions.push(watched());
+  }
+
+  const lists = [
+    ["status", VALID_STATUSES],
+    ["priority", VALID_PRIORITIES],
+    ["category", categories],
+  ];
+  for (const [name, validValues] of lists) {
+    if (query[name] === undefined) continue;
+    const { values, error } = parseListParam(query[name], validValues, name);
+    if (error) return { error };
+    conditions.push(`${name} = ANY(${param(values)})`);
+  }
+
+  // label=<name>[,<name>...]: tickets carrying any of the labels
+  if (query.label !== undefined) {
+    const names = String(query.label)
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    if (names.length === 0) return { error: "label must be one or more label names" };
+    conditions.push(
+      `EXISTS (SELECT 1 FROM ticket_labels tl JOIN labels l ON l.id = tl.label_id
+               WHERE tl.ticket_id = tickets.id AND lower(l.name) = ANY(${param(names)}))`,
+    );
+  }
+
+  // assigned_to=<user id>, "me" or "none" (unassigned)
+  if (query.assigned_to !== undefined) {
+    if (query.assigned_to === "none") {
+      conditions.push("assigned_to IS NULL");
+    } else {
+      const assigneeId = query.assigned_to === "me" ? user.sub : parseInt(query.assigned_to);
+      if (isNaN(assigneeId)) return { error: "assigned_to must be a user id, me or none" };
+      conditions.push(`assigned_to = ${param(assigneeId)}`);
+    }
+  }
+
+  // Date range on created_at: created_after is inclusive, created_before exclusive
+  for (const [name, op] of [
+    ["created_after", ">="],
+    ["created_before", "<"],
+  ]) {
+    if (query[name] === undefined) continue;
+    if (isNaN(Date.parse(query[name]))) return { error: `${name} must be a date` };
+    conditions.push(`created_at ${op} ${param(query[name])}::timestamptz`);
+  }
+
+  // archived=true lists the archive instead of the live tickets; deleted=true (staff) the
+  // deleted tickets that can still be restored
+  let table = "tickets";
+  if (query.archived !== undefined) {
+    if (query.archived !== "true") return { error: "archived must be true" };
+    table = "tickets_archive AS tickets";
+    conditions.push("deleted_at IS NULL");
+  }
+  if (query.deleted !== undefined) {
+    if (query.deleted !== "true") return { error: "deleted must be true" };
+    if (!isStaffUser(user)) return { error: "only staff can list deleted tickets" };
+    if (table !== "tickets") return { error: "archived and deleted cannot be combined" };
+    table = "tickets_archive AS tickets";
+    conditions.push(`deleted_at > NOW() - make_interval(days => ${param(TICKET_RESTORE_DAYS)})`);
+  }
+
+  // Free text over title and description (web search syntax: "quoted phrase", -exclude, or)
+  let from = table;
+  const text = typeof query.q === "string" ? query.q.trim() : "";
+  if (text) {
+    from = `${table}, websearch_to_tsquery('english', ${param(text)}) AS query`;
+    conditions.push("search_vector @@ query");
+  }
+
+  const sort = query.sort || (text ? "relevance" : "created_at");
+  if (!SORT_KEYS[sort] || (sort === "relevance" && !text)) {
+    const sorts = Object.keys(SORT_KEYS).filter((key) => text || key !== "relevance");
+    return { error: `sort must be one of: ${sorts.join(", ")}` };
+  }
+  const order = (query.order || "desc").toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc" };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit);
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(String(query.cursor), sort);
+    if (!cursor) return { error: "invalid cursor" };
+  }
+
+  return {
+    from,
+    archive: table !== "tickets",
+    conditions,
+    params,
+    sort,
+    descending: order === "desc",
+    limit,
+    cursor,
+  };
+}
+
+// ?mapping={"title": "Subject", "custom_fields.browser_version": "Browser"}: the column
+// (CSV) or key (NDJSON) each field is read from; unmapped fields use their own name
+function parseImportMapping(value) {
+  if (value === undefined) return { mapping: {} };
+  let mapping;
+  try {
+    mapping = JSON.parse(String(value));
+  } catch {
+    mapping = null;
+  }
+  if (typeof mapping !== "object" || mapping === null || Array.isArray(mapping)) {
+    return { error: "mapping must be a JSON object of field: column" };
+  }
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field) && !/^custom_fields\.[a-z][a-z0-9_]*$/.test(field)) {
+      return {
+        error: `mapping: unknown field ${field}. Fields: ${IMPORT_FIELDS.join(", ")}, custom_fields.<key>`,
+      };
+    }
+    if (typeof column !== "string" || !column) {
+      return { error: `mapping.${field} must be a column name` };
+    }
+  }
+  return { mapping };
+}
+
+// The records of an import body: { values } by column (CSV header) or key (NDJSON), or
+// { error } for a record that cannot be read, reported with the other row errors
+function parseImportRecords(text, format) {
+  if (format === "csv") {
+    const { rows, error } = parseCsv(text);
+    if (error) return { error: `invalid CSV: ${error}` };
+    const [header = [], ...data] = rows;
+    const columns = header.map((column) => column.trim());
+    return {
+      records: data.map((row) =>
+        row.length > columns.length
+          ? { error: `${row.length} fields, but the header has ${columns.length}` }
+          : { values: Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ""])) },
+      ),
+    };
+  }
+  const records = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    let values;
+    try {
+      values = JSON.parse(line);
+    } catch {
+      values = null;
+    }
+    records.push(
+      typeof values === "object" && values !== null && !Array.isArray(values)
+        ? { values }
+        : { error: "not a JSON object" },
+    );
+  }
+  return { records };
+}
+
+// A record's value for a field, or undefined when it is missing or blank
+function importValue(record, mapping, field) {
+  const column = Object.hasOwn(mapping, field) ? mapping[field] : field;
+  const value = Object.hasOwn(record, column) ? record[column] : undefined;
+  if (value === null || (typeof value === "string" && !value.trim())) return undefined;
+  return value;
+}
+
+// A date of an import row as an ISO string; dates without a time zone are taken as UTC
+function parseImportDate(value, name, now) {
+  if (typeof value !== "string") return { error: `${name} must be a date` };
+  let text = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    text += "T00:00Z";
+  } else if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    text = `${text.replace(" ", "T")}Z`;
+  }
+  const time = Date.parse(text);
+  if (isNaN(time)) return { error: `${name} must be a date` };
+  if (time > now) return { error: `${name} must not be in the future` };
+  return { date: new Date(time).toISOString() };
+}
+
+// Validate one import record against the organization's categories, users and labels.
+// Returns the insertTicket fields plus the labels to attach, or { error }.
+function validateImportRecord(record, mapping, lookups) {
+  const value = (field) => importValue(record, mapping, field);
+
+  const content = {};
+  for (const field of ["title", "description", "category"]) {
+    const text = value(field);
+    if (text === undefined) return { error: `${field} is required` };
+    if (typeof text !== "string") return { error: `${field} must be text` };
+    content[field] = text;
+  }
+  // Archived categories still take the old tickets that were filed under them
+  const category = lookups.categories.get(content.category.trim().toLowerCase());
+  if (!category) return { error: `unknown category: ${content.category}` };
+
+  const priority = String(value("priority") ?? category.default_priority).toLowerCase();
+  if (!VALID_PRIORITIES.includes(priority)) {
+    return { error: `priority must be one of: ${VALID_PRIORITIES.join(", ")}` };
+  }
+  const status = String(value("status") ?? "new").toLowerCase();
+  if (!VALID_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${VALID_STATUSES.join(", ")}` };
+  }
+
+  // Without a requester, the importing admin files the ticket if it is their organization
+  let userId = lookups.importerId;
+  const requesterEmail = value("requester_email");
+  if (requesterEmail !== undefined) {
+    const requester = lookups.users.get(String(requesterEmail).trim().toLowerCase());
+    if (!requester) return { error: `unknown requester: ${requesterEmail}` };
+    userId = requester.id;
+  }
+  if (!userId) return { error: "requester_email is required" };
+  let assignedTo = null;
+  const assigneeEmail = value("assignee_email");
+  if (assigneeEmail !== undefined) {
+    const assignee = lookups.users.get(String(assigneeEmail).trim().toLowerCase());
+    if (!assignee || !["staff", "admin"].includes(assignee.role)) {
+      return { error: `assignee must be a staff member: ${assigneeEmail}` };
+    }
+    assignedTo = assignee.id;
+  }
+
+  // labels: comma-separated names (CSV) or an array of names (NDJSON)
+  let labelNames = value("labels") ?? [];
+  if (typeof labelNames === "string") labelNames = labelNames.split(",");
+  if (!Array.isArray(labelNames) || labelNames.some((name) => typeof name !== "string")) {
+    return { error: "labels must be label names" };
+  }
+  const labels = [];
+  for (const name of new Set(labelNames.map((label) => label.trim().toLowerCase()))) {
+    if (!name) continue;
+    const label = lookups.labels.get(name);
+    if (!label) return { error: `unknown label: ${name}` };
+    labels.push(label);
+  }
+
+  // custom_fields: an object (NDJSON) or JSON text (CSV), plus mapped custom_fields.<key> columns
+  let values = value("custom_fields") ?? {};
+  if (typeof values === "string") {
+    try {
+      values = JSON.parse(values);
+    } catch {
+      return { error: "custom_fields must be a JSON object" };
+    }
+  }
+  if (typeof values !== "object" || values === null || Array.isArray(values)) {
+    return { error: "custom_fields must be a JSON object" };
+  }
+  values = { ...values };
+  for (const field of Object.keys(mapping).filter((key) => key.startsWith("custom_fields."))) {
+    const key = field.slice("custom_fields.".length);
+    let fieldValue = value(field);
+    const definition = category.fields.find((candidate) => candidate.key === key);
+    // CSV has no booleans
+    if (definition && definition.type === "boolean" && typeof fieldValue === "string") {
+      fieldValue = { true: true, false: false }[fieldValue.trim().toLowerCase()] ?? fieldValue;
+    }
+    if (fieldValue !== undefined) values[key] = fieldValue;
+  }
+  const customFields = validateFieldValues(category.fields, values);
+  if (customFields.error) return { error: customFields.error };
+
+  const dates = {};
+  for (const field of ["created_at", "updated_at"]) {
+    const date = value(field);
+    if (date === undefined) continue;
+    const parsed = parseImportDate(date, field, lookups.now);
+    if (parsed.error) return { error: parsed.error };
+    dates[field] = parsed.date;
+  }
+  if (dates.created_at && dates.updated_at && dates.updated_at < dates.created_at) {
+    return { error: "updated_at must not be before created_at" };
+  }
+
+  return {
+    fields: {
+      userId,
+      orgId: lookups.orgId,
+      title: content.title,
+      description: content.description,
+      category: category.name,
+      customFields: customFields.values,
+      priority,
+      status,
+      assignedTo,
+      createdAt: dates.created_at ?? null,
+      updatedAt: dates.updated_at ?? null,
+    },
+    labels,
+  };
+}
+
+// Resolves once the response takes more data again, or the client has gone away
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// The history of exported tickets, oldest entry first
+async function exportHistory(client, ticketIds) {
+  const result = await client.query(
+    `SELECT h.id, h.ticket_id, h.changed_by, u.email AS changed_by_email,
+            h.field_name, h.old_value, h.new_value, h.changed_at
+     FROM ticket_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.ticket_id = ANY($1)
+     ORDER BY h.ticket_id, h.changed_at, h.id`,
+    [ticketIds],
+  );
+  return result.rows;
+}
+
+// GET /export and /export/history: stream the tickets matching the GET / filters, or their
+// history, as CSV or NDJSON. One read-only snapshot, so a backup is consistent; tickets
+// are read in id order, EXPORT_BATCH_SIZE at a time.
+function exportTickets(historyOnly) {
+  return async (req, res) => {
+    try {
+      const format = req.query.format || "ndjson";
+      if (!Object.hasOwn(IMPORT_FORMATS, format)) {
+        return res.status(400).json({ error: "format must be csv or ndjson" });
+      }
+      const list = listQuery(req.query, req.user, await categoryNames(true));
+      if (list.error) {
+        return res.status(400).json({ error: list.error });
+      }
+      const { from, conditions, params } = list;
+
+      const name = historyOnly ? "ticket-history" : "tickets";
+      res.attachment(`${name}-${new Date().toISOString().slice(0, 10)}.${format}`);
+      res.type(format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson");
+
+      // Stops early (false) when the client has gone away
+      const write = async (chunk) => {
+        if (!res.write(chunk)) await drained(res);
+        return !res.destroyed;
+      };
+
+      await withTransaction(async (client) => {
+        await client.query("SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY");
+        if (format === "csv") {
+          await write(formatCsvRow(historyOnly ? HISTORY_EXPORT_COLUMNS : EXPORT_COLUMNS));
+        }
+
+        let lastId = 0;
+        for (;;) {
+          const batch = await client.query(
+            `SELECT ${EXPORT_SELECT}
+             FROM ${from}
+             WHERE ${conditions.join(" AND ")} AND id > $${params.length + 1}
+             ORDER BY id
+             LIMIT ${EXPORT_BATCH_SIZE}`,
+            [...params, lastId],
+          );
+          if (batch.rows.length === 0) return;
+          lastId = batch.rows[batch.rows.length - 1].id;
+
+          // CSV tickets leave the history to /export/history, NDJSON tickets carry theirs
+          const history =
+            historyOnly || format === "ndjson"
+              ? await exportHistory(
+                  client,
+                  batch.rows.map((ticket) => ticket.id),
+                )
+              : [];
+          const historyOf = new Map(batch.rows.map((ticket) => [ticket.id, []]));
+          for (const entry of history) historyOf.get(entry.ticket_id).push(entry);
+
+          let chunk;
+          if (historyOnly) {
+            chunk = history
+              .map((entry) =>
+                format === "csv"
+                  ? formatCsvRow(HISTORY_EXPORT_COLUMNS.map((column) => entry[column]))
+                  : `${JSON.stringify(entry)}\n`,
+              )
+              .join("");
+          } else {
+            chunk = batch.rows
+              .map((ticket) =>
+                format === "csv"
+                  ? formatCsvRow(
+                      EXPORT_COLUMNS.map((column) =>
+                        column === "labels" ? ticket.labels.join(",") : ticket[column],
+                      ),
+                    )
+                  : `${JSON.stringify({
+                      ...ticket,
+                      history: historyOf.get(ticket.id),
+                    })}\n`,
+              )
+              .join("");
+          }
+          if (!(await write(chunk))) return;
+        }
+      });
+      res.end();
+    } catch (err) {
+      console.error(err);
+      // Once streaming has started the client can only tell from the cut-off response
+      if (res.headersSent) return res.destroy();
+      res.status(500).json({ error: "internal error" });
+    }
+  };
+}
+
+// POST / - Create a new ticket
+// With an Idempotency-Key header, a repeated request (a double-click, a retry after a
+// timeout) gets the response of the first one instead of creating a second ticket.
+// template_id: the ticket gets the template's category, labels and, unless the request sets
+// one, its priority. draft_id: the draft the ticket was written in, deleted once it is created.
+app.post("/", authenticate, requireScope("tickets:write"), async (req, res) => {
+  try {
+    const { title, description, priority, template_id, draft_id } = req.body;
+
+    const idempotency = idempotencyKey(req);
+    if (idempotency.error) {
+      return res.status(400).json({ error: idempotency.error });
+    }
+
+    let template = null;
+    if (template_id !== undefined && template_id !== null) {
+      const templateId = parseInt(template_id);
+      template = isNaN(templateId) ? null : await findTemplate(pool, templateId, req.user.org_id);
+      if (!template) {
+        return res.status(400).json({ error: "template not found" });
+      }
+    }
+    const category = req.body.category ?? template?.category;
+    if (template && String(category).toLowerCase() !== template.category) {
+      return res.status(400).json({ error: `template is for category ${template.category}` });
+    }
+
+    const draftId = draft_id === undefined || draft_id === null ? null : parseInt(draft_id);
+    if (isNaN(draftId)) {
+      return res.status(400).json({ error: "invalid draft id" });
+    }
+
+    // Validate required fields
+    if (!title || !description || !category) {
+      return res.status(400).json({
+        error: "title, description, and category are required",
+      });
+    }
+
+    // Validate category against the configured (active) categories
+    const ticketCategory = await findCategory(pool, String(category).toLowerCase());
+    if (!ticketCategory) {
+      return res.status(400).json({ error: await unknownCategoryError() });
+    }
+
+    // Validate priority if provided; otherwise the template or the category decides
+    const ticketPriority = priority
+      ? priority.toLowerCase()
+      : template?.priority || ticketCategory.default_priority;
+    if (!VALID_PRIORITIES.includes(ticketPriority)) {
+      return res.status(400).json({
+        error: `priority must be one of: ${VALID_PRIORITIES.join(", ")}`,
+      });
+    }
+
+    // Validate the category's custom fields
+    const customFields = validateFieldValues(ticketCategory.fields, req.body.custom_fields);
+    if (customFields.error) {
+      return res.status(400).json({ error: customFields.error });
+    }
+
+    if (!req.user.org_id) {
+      return res.status(403).json({ error: "account has no organization" });
+    }
+
+    // Suggestions only: the ticket is created either way, and the client can link or close it
+    const similarTickets = await findSimilarTickets(
+      `${title} ${description}`,
+      req.user,
+      req.user.org_id,
+    );
+
+    const outcome = await withTransaction(async (client) => {
+      if (idempotency.key) {
+        const previous = await claimIdempotencyKey(client, req, idempotency.key);
+        if (previous) return previous;
+      }
+      const ticket = await insertTicket(client, {
+        userId: req.user.sub,
+        orgId: req.user.org_id,
+        title,
+        description,
+        category: ticketCategory.name,
+        customFields: customFields.values,
+        priority: ticketPriority,
+      });
+      const labels = await client.query(
+        `SELECT id, name FROM labels WHERE id = ANY($1) AND org_id = $2 ORDER BY lower(name)`,
+        [template ? template.label_ids : [], ticket.org_id],
+      );
+      await applyLabels(client, [ticket.id], labels.rows, [], req.user.sub);
+      if (draftId !== null) {
+        await client.query("DELETE FROM ticket_drafts WHERE id = $1 AND user_id = $2", [
+          draftId,
+          req.user.sub,
+        ]);
+      }
+      const created = {
+        status: 201,
+        body: {
+          ...ticket,
+          labels: labels.rows.map((label) => label.name),
+          similar_tickets: similarTickets,
+        },
+      };
+      if (idempotency.key) await saveIdempotentOutcome(client, req, idempotency.key, created);
+      return created;
+    });
+
+    if (outcome.replayed) res.set("Idempotent-Replayed", "true");
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET / - List tickets (users see their own, staff see all of their organization)
+// Filters: status, priority, category, label (comma-separated), assigned_to, user_id (staff),
+// watching, created_after, created_before, q (full-text). Sorting: sort, order.
+// archived=true lists archived tickets, deleted=true (staff) deleted ones instead.
+// Pages: limit, cursor (next_cursor of the previous page); total counts all matches.
+app.get("/", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    // Archived categories still filter their existing tickets
+    const list = listQuery(req.query, req.user, await categoryNames(true));
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+    const { from, archive, conditions, params, sort, descending, limit, cursor } = list;
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM ${from} WHERE ${conditions.join(" AND ")}`,
+      params,
+    );
+
+    // Keyset pagination on (sort key, id), so pages stay stable while tickets are added
+    const sortExpr = SORT_KEYS[sort].expr;
+    const direction = descending ? "DESC" : "ASC";
+    if (cursor) {
+      params.push(cursor.value, cursor.id);
+      conditions.push(
+        `(${sortExpr}, id) ${descending ? "<" : ">"} ` +
+          `($${params.length - 1}::${SORT_KEYS[sort].type}, $${params.length})`,
+      );
+    }
+    params.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT ${archive ? ARCHIVED_TICKET_COLUMNS : TICKET_COLUMNS}, ${LABELS_SELECT},
+         (${sortExpr})::text AS sort_value
+       FROM ${from}
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY ${sortExpr} ${direction}, id ${direction}
+       LIMIT $${params.length}`,
+      params,
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const nextCursor =
+      result.rows.length > limit ? encodeCursor(sort, rows[rows.length - 1]) : null;
+
+    res.json({
+      tickets: rows.map(({ sort_value, ...ticket }) => ticket),
+      total: parseInt(countResult.rows[0].total),
+      next_cursor: nextCursor,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /similar?text= - Open tickets similar to a ticket being written (title and description),
+// so the client can warn about duplicates before it is submitted. ?limit= (default 5, max 20)
+app.get("/similar", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const text = typeof req.query.text === "string" ? req.query.text.trim() : "";
+    if (!text) {
+      return res.status(400).json({ error: "text is required" });
+    }
+    const limit = req.query.limit === undefined ? DEFAULT_SIMILAR_LIMIT : parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_SIMILAR_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_SIMILAR_LIMIT}` });
+    }
+
+    const tickets = await findSimilarTickets(text, req.user, orgScope(req.user), limit);
+    res.json({ tickets });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// Health check endpoint (MUST come before /:id to avoid being caught by parameter matching)
+app.get("/health", (req, res) => {
+  res.json({ status: "ok", service: "s2-tickets" });
+});
+
+// GET /labels - Labels of the caller's organization, with the number of tickets carrying each
+app.get("/labels", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT l.id, l.org_id, l.name, l.color, l.description, l.created_by, l.created_at,
+              COUNT(tl.ticket_id)::int AS ticket_count
+       FROM labels l
+       LEFT JOIN ticket_labels tl ON tl.label_id = l.id
+       WHERE ($1::int IS NULL OR l.org_id = $1)
+       GROUP BY l.id
+       ORDER BY l.org_id, lower(l.name)`,
+      [orgScope(req.user)],
+    );
+
+    res.json({ labels: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /labels - Create a label (admin only). Cross-org admins pass the org_id.
+app.post("/labels", authenticate, requireScope("tickets:write"), requireAdmin, async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+    const error = validateLabel({ name: name ?? "", color });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const orgId =
+      orgScope(req.user) === null && req.body.org_id !== undefined
+        ? parseInt(req.body.org_id)
+        : req.user.org_id;
+    if (!orgId) {
+      return res.status(400).json({ error: "org_id is required" });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO labels (org_id, name, color, description, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (org_id, lower(name)) DO NOTHING
+       RETURNING ${LABEL_COLUMNS}`,
+      [orgId, name.trim(), color || null, description || null, req.user.sub],
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: "label already exists" });
+    }
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /labels/bulk - Add and remove labels on many tickets at once (staff only)
+// Body: { ticket_ids: [...], add: [names], remove: [names] }
+app.post("/labels/bulk", authenticate, requireScope("tickets:write"), requireStaff, async (req, res) => {
+  try {
+    const { ticket_ids, add = [], remove = [] } = req.body;
+
+    if (!Array.isArray(ticket_ids) || ticket_ids.length === 0) {
+      return res.status(400).json({ error: "ticket_ids must be a non-empty array" });
+    }
+    if (ticket_ids.length > MAX_BULK_TICKETS) {
+      return res.status(400).json({ error: `at most ${MAX_BULK_TICKETS} tickets at once` });
+    }
+    const ticketIds = [...new Set(ticket_ids.map((id) => parseInt(id)))];
+    if (ticketIds.some((id) => isNaN(id))) {
+      return res.status(400).json({ error: "ticket_ids must be ticket ids" });
+    }
+
+    const toAdd = add.length > 0 ? parseLabelNames(add, "add") : { names: [] };
+    const toRemove = remove.length > 0 ? parseLabelNames(remove, "remove") : { names: [] };
+    const error =
+      toAdd.error ||
+      toRemove.error ||
+      (toAdd.names.length + toRemove.names.length === 0 ? "add or remove is required" : null);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const tickets = await client.query(
+        `SELECT id, org_id FROM tickets
+         WHERE id = ANY($1) AND ($2::int IS NULL OR org_id = $2)
+         FOR UPDATE`,
+        [ticketIds, orgScope(req.user)],
+      );
+      const found = new Set(tickets.rows.map((ticket) => ticket.id));
+      const missing = ticketIds.filter((id) => !found.has(id));
+      if (missing.length > 0) {
+        return { status: 404, body: { error: `tickets not found: ${missing.join(", ")}` } };
+      }
+
+      // Labels belong to an organization: resolve them for every organization involved
+      // before changing anything
+      const batches = [];
+      for (const orgId of new Set(tickets.rows.map((ticket) => ticket.org_id))) {
+        const adding = await resolveLabels(client, orgId, toAdd.names);
+        const removing = await resolveLabels(client, orgId, toRemove.names);
+        if (adding.error || removing.error) {
+          return { status: 400, body: { error: adding.error || removing.error } };
+        }
+        const ids = tickets.rows.filter((ticket) => ticket.org_id === orgId).map((t) => t.id);
+        batches.push({ ids, add: adding.labels, remove: removing.labels });
+      }
+
+      const totals = { added: 0, removed: 0 };
+      for (const batch of batches) {
+        const counts = await applyLabels(client, batch.ids, batch.add, batch.remove, req.user.sub);
+        totals.added += counts.added;
+        totals.removed += counts.removed;
+      }
+      return { status: 200, body: { tickets: ticketIds.length, ...totals } };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PATCH /labels/:labelId - Rename a label or change its color or description (admin only)
+app.patch("/labels/:labelId", authenticate, requireScope("tickets:write"), requireAdmin, async (req, res) => {
+  try {
+    const labelId = parseInt(req.params.labelId);
+
+    if (isNaN(labelId)) {
+      return res.status(400).json({ error: "invalid label id" });
+    }
+
+    const { name, color, description } = req.body;
+    if (name === undefined && color === undefined && description === undefined) {
+      return res.status(400).json({
+        error: "at least one field (name, color or description) is required",
+      });
+    }
+    const error = validateLabel({ name, color });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await pool.query(
+      `UPDATE labels
+       SET name = COALESCE($1, name),
+           color = CASE WHEN $2 THEN $3 ELSE color END,
+           description = CASE WHEN $4 THEN $5 ELSE description END
+       WHERE id = $6 AND ($7::int IS NULL OR org_id = $7)
+       RETURNING ${LABEL_COLUMNS}`,
+      [
+        name === undefined ? null : name.trim(),
+        color !== undefined,
+        color || null,
+        description !== undefined,
+        description || null,
+        labelId,
+        orgScope(req.user),
+      ],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "label not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "label already exists" });
+    }
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// DELETE /labels/:labelId - Delete a label and take it off every ticket (admin only)
+app.delete("/labels/:labelId", authenticate, requireScope("tickets:write"), requireAdmin, async (req, res) => {
+  try {
+    const labelId = parseInt(req.params.labelId);
+
+    if (isNaN(labelId)) {
+      return res.status(400).json({ error: "invalid label id" });
+    }
+
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM labels WHERE id = $1 AND ($2::int IS NULL OR org_id = $2) RETURNING id, name`,
+        [labelId, orgScope(req.user)],
+      );
+      if (result.rows.length === 0) return false;
+      const removed = await client.query(
+        `DELETE FROM ticket_labels WHERE label_id = $1 RETURNING ticket_id`,
+        [labelId],
+      );
+      for (const row of removed.rows) {
+        await logChange(client, row.ticket_id, req.user.sub, "label", result.rows[0].name, null);
+      }
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: "label not found" });
+    }
+
+    res.json({ message: "label deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /categories - Categories with their custom fields (?include_inactive=true for archived ones)
+app.get("/categories", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${CATEGORY_COLUMNS} FROM ticket_categories
+       WHERE $1 OR active
+       ORDER BY created_at, name`,
+      [req.query.include_inactive === "true"],
+    );
+
+    res.json({ categories: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /categories - Create a category (cross-org admin only)
+// Body: { name, label, default_priority?, fields? } (fields: see custom-fields.js)
+app.post(
+  "/categories",
+  authenticate,
+  requireScope("tickets:write"),
+  requireAdmin,
+  requireCrossOrgAdmin,
+  async (req, res) => {
+    try {
+      const { name } = req.body;
+      if (typeof name !== "string" || !CATEGORY_NAME_PATTERN.test(name)) {
+        return res.status(400).json({
+          error: "name must be lowercase letters, digits, - and _ (max 40)",
+        });
+      }
+      if (req.body.label === undefined) {
+        return res.status(400).json({ error: "label is required" });
+      }
+      const { values, error } = parseCategoryFields(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO ticket_categories (name, label, default_priority, fields, active)
+         VALUES ($1, $2, COALESCE($3, 'medium'), COALESCE($4::jsonb, '[]'), COALESCE($5, TRUE))
+         ON CONFLICT (name) DO NOTHING
+         RETURNING ${CATEGORY_COLUMNS}`,
+        [
+          name,
+          values.label,
+          values.default_priority ?? null,
+          values.fields ?? null,
+          values.active ?? null,
+        ],
+      );
+      if (result.rows.length === 0) {
+        return res.status(409).json({ error: "category already exists" });
+      }
+
+      res.status(201).json(result.rows[0]);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// PATCH /categories/:name - Change a category's label, default priority or fields, or archive
+// it (`active: false`: kept on existing tickets, not offered for new ones). Cross-org admin only.
+// Changed fields apply to new tickets and edits; stored values are not revalidated.
+app.patch(
+  "/categories/:name",
+  authenticate,
+  requireScope("tickets:write"),
+  requireAdmin,
+  requireCrossOrgAdmin,
+  async (req, res) => {
+    try {
+      const { values, error } = parseCategoryFields(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const columns = Object.keys(values);
+      if (columns.length === 0) {
+        return res.status(400).json({
+          error: "at least one field (label, default_priority, fields or active) is required",
+        });
+      }
+
+      const result = await pool.query(
+        `UPDATE ticket_categories
+         SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(", ")}, updated_at = NOW()
+         WHERE name = $${columns.length + 1}
+         RETURNING ${CATEGORY_COLUMNS}`,
+        [...Object.values(values), req.params.name],
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "category not found" });
+      }
+
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// DELETE /categories/:name - Delete a category no ticket uses (cross-org admin only)
+app.delete(
+  "/categories/:name",
+  authenticate,
+  requireScope("tickets:write"),
+  requireAdmin,
+  requireCrossOrgAdmin,
+  async (req, res) => {
+    try {
+      const used = await pool.query(`SELECT COUNT(*) AS count FROM tickets WHERE category = $1`, [
+        req.params.name,
+      ]);
+      const count = parseInt(used.rows[0].count);
+      if (count > 0) {
+        return res.status(409).json({
+          error: `category is used by ${count} ticket(s); archive it with active: false instead`,
+        });
+      }
+
+      const result = await pool.query(`DELETE FROM ticket_categories WHERE name = $1`, [
+        req.params.name,
+      ]);
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: "category not found" });
+      }
+
+      res.json({ message: "category deleted successfully" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// GET /templates - Ticket templates of the caller's organization (?category= for one category)
+app.get("/templates", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const category = req.query.category ? String(req.query.category).toLowerCase() : null;
+    const result = await pool.query(
+      `SELECT ${TEMPLATE_COLUMNS}, ${TEMPLATE_LABELS_SELECT}
+       FROM ticket_templates
+       WHERE ($1::int IS NULL OR org_id = $1) AND ($2::text IS NULL OR category = $2)
+       ORDER BY org_id, category, lower(name)`,
+      [orgScope(req.user), category],
+    );
+
+    res.json({ templates: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /templates - Create a ticket template (admin only). Cross-org admins pass the org_id.
+// Body: { name, category, description, title?, priority?, labels? }
+app.post("/templates", authenticate, requireScope("tickets:write"), requireAdmin, async (req, res) => {
+  try {
+    for (const field of ["name", "category", "description"]) {
+      if (req.body[field] === undefined) {
+        return res.status(400).json({ error: `${field} is required` });
+      }
+    }
+    const { values, error } = parseTemplateFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const orgId =
+      orgScope(req.user) === null && req.body.org_id !== undefined
+        ? parseInt(req.body.org_id)
+        : req.user.org_id;
+    if (!orgId) {
+      return res.status(400).json({ error: "org_id is required" });
+    }
+
+    if (!(await findCategory(pool, values.category))) {
+      return res.status(400).json({ error: await unknownCategoryError() });
+    }
+    const labels = await resolveLabels(pool, orgId, values.labels ?? []);
+    if (labels.error) {
+      return res.status(400).json({ error: labels.error });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO ticket_templates
+         (org_id, category, name, title, description, priority, label_ids, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (org_id, category, lower(name)) DO NOTHING
+       RETURNING ${TEMPLATE_COLUMNS}, ${TEMPLATE_LABELS_SELECT}`,
+      [
+        orgId,
+        values.category,
+        values.name,
+        values.title ?? null,
+        values.description,
+        values.priority ?? null,
+        labels.labels.map((label) => label.id),
+        req.user.sub,
+      ],
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: "template already exists" });
+    }
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PATCH /templates/:templateId - Change a template (admin only); labels replace its labels.
+// Tickets created from it keep what they got.
+app.patch("/templates/:templateId", authenticate, requireScope("tickets:write"), requireAdmin, async (req, res) => {
+  try {
+    const templateId = parseInt(req.params.templateId);
+
+    if (isNaN(templateId)) {
+      return res.status(400).json({ error: "invalid template id" });
+    }
+
+    const { values, error } = parseTemplateFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        error:
+          "at least one field (name, category, title, description, priority or labels) is required",
+      });
+    }
+
+    const template = await findTemplate(pool, templateId, orgScope(req.user));
+    if (!template) {
+      return res.status(404).json({ error: "template not found" });
+    }
+    if (values.category !== undefined && !(await findCategory(pool, values.category))) {
+      return res.status(400).json({ error: await unknownCategoryError() });
+    }
+    const labels =
+      values.labels === undefined
+        ? { labels: null }
+        : await resolveLabels(pool, template.org_id, values.labels);
+    if (labels.error) {
+      return res.status(400).json({ error: labels.error });
+    }
+
+    const result = await pool.query(
+      `UPDATE ticket_templates
+       SET name = COALESCE($1, name),
+           category = COALESCE($2, category),
+           description = COALESCE($3, description),
+           title = CASE WHEN $4 THEN $5 ELSE title END,
+           priority = CASE WHEN $6 THEN $7 ELSE priority END,
+           label_ids = COALESCE($8, label_ids),
+           updated_at = NOW()
+       WHERE id = $9
+       RETURNING ${TEMPLATE_COLUMNS}, ${TEMPLATE_LABELS_SELECT}`,
+      [
+        values.name ?? null,
+        values.category ?? null,
+        values.description ?? null,
+        values.title !== undefined,
+        values.title ?? null,
+        values.priority !== undefined,
+        values.priority ?? null,
+        labels.labels && labels.labels.map((label) => label.id),
+        templateId,
+      ],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "template not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "template already exists" });
+    }
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// DELETE /templates/:templateId - Delete a template (admin only). Drafts started from it
+// keep their text.
+app.delete("/templates/:templateId", authenticate, requireScope("tickets:write"), requireAdmin, async (req, res) => {
+  try {
+    const templateId = parseInt(req.params.templateId);
+
+    if (isNaN(templateId)) {
+      return res.status(400).json({ error: "invalid template id" });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM ticket_templates WHERE id = $1 AND ($2::int IS NULL OR org_id = $2)`,
+      [templateId, orgScope(req.user)],
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "template not found" });
+    }
+
+    res.json({ message: "template deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /drafts - The caller's saved drafts, most recently saved first
+app.get("/drafts", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${DRAFT_COLUMNS} FROM ticket_drafts WHERE user_id = $1 ORDER BY updated_at DESC, id DESC`,
+      [req.user.sub],
+    );
+
+    res.json({ drafts: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /drafts - Save a ticket draft. Body: the fields of POST / (title or description at
+// least), checked when the draft is submitted.
+app.post("/drafts", authenticate, requireScope("tickets:write"), async (req, res) => {
+  try {
+    const { values, error } = parseDraftFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO ticket_drafts
+         (user_id, org_id, title, description, category, priority, custom_fields, template_id)
+       SELECT $1, $2, $3, $4, $5, $6, $7, $8
+       WHERE (SELECT COUNT(*) FROM ticket_drafts WHERE user_id = $1) < $9
+       RETURNING ${DRAFT_COLUMNS}`,
+      [
+        req.user.sub,
+        req.user.org_id,
+        values.title,
+        values.description,
+        values.category,
+        values.priority,
+        values.customFields,
+        values.templateId,
+        MAX_DRAFTS_PER_USER,
+      ],
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        error: `at most ${MAX_DRAFTS_PER_USER} drafts; submit or delete some first`,
+      });
+    }
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /drafts/:draftId - One of the caller's drafts
+app.get("/drafts/:draftId", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const draftId = parseInt(req.params.draftId);
+
+    if (isNaN(draftId)) {
+      return res.status(400).json({ error: "invalid draft id" });
+    }
+
+    const result = await pool.query(
+      `SELECT ${DRAFT_COLUMNS} FROM ticket_drafts WHERE id = $1 AND user_id = $2`,
+      [draftId, req.user.sub],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "draft not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PUT /drafts/:draftId - Save a draft again; the body replaces its content
+app.put("/drafts/:draftId", authenticate, requireScope("tickets:write"), async (req, res) => {
+  try {
+    const draftId = parseInt(req.params.draftId);
+
+    if (isNaN(draftId)) {
+      return res.status(400).json({ error: "invalid draft id" });
+    }
+
+    const { values, error } = parseDraftFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await pool.query(
+      `UPDATE ticket_drafts
+       SET title = $1, description = $2, category = $3, priority = $4, custom_fields = $5,
+           template_id = $6, updated_at = NOW()
+       WHERE id = $7 AND user_id = $8
+       RETURNING ${DRAFT_COLUMNS}`,
+      [
+        values.title,
+        values.description,
+        values.category,
+        values.priority,
+        values.customFields,
+        values.templateId,
+        draftId,
+        req.user.sub,
+      ],
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "draft not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// DELETE /drafts/:draftId - Discard a draft
+app.delete("/drafts/:draftId", authenticate, requireScope("tickets:write"), async (req, res) => {
+  try {
+    const draftId = parseInt(req.params.draftId);
+
+    if (isNaN(draftId)) {
+      return res.status(400).json({ error: "invalid draft id" });
+    }
+
+    const result = await pool.query("DELETE FROM ticket_drafts WHERE id = $1 AND user_id = $2", [
+      draftId,
+      req.user.sub,
+    ]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "draft not found" });
+    }
+
+    res.json({ message: "draft deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /import - Import tickets, e.g. from another helpdesk (admins). The body is CSV with a
+// header row (Content-Type: text/csv) or NDJSON (application/x-ndjson), one ticket each;
+// ?mapping= names the column of each field (see IMPORT_FIELDS), ?dry_run=true only validates.
+// Tickets keep their original status and timestamps. Either every row is imported or none:
+// rows with errors are reported by position, 1 being the first ticket.
+app.post(
+  "/import",
+  authenticate,
+  requireScope("tickets:write"),
+  requireAdmin,
+  express.text({ type: Object.values(IMPORT_FORMATS).flat(), limit: IMPORT_MAX_SIZE }),
+  async (req, res) => {
+    try {
+      const format = Object.keys(IMPORT_FORMATS).find((name) => req.is(IMPORT_FORMATS[name]));
+      if (!format || typeof req.body !== "string") {
+        return res.status(400).json({
+          error: "body must be CSV (Content-Type: text/csv) or NDJSON (application/x-ndjson)",
+        });
+      }
+      const { mapping, error: mappingError } = parseImportMapping(req.query.mapping);
+      if (mappingError) {
+        return res.status(400).json({ error: mappingError });
+      }
+      const dryRun = req.query.dry_run === "true";
+
+      // Cross-org admins name the organization to import into
+      const orgId =
+        orgScope(req.user) === null && req.query.org_id !== undefined
+          ? parseInt(req.query.org_id)
+          : req.user.org_id;
+      if (!orgId) {
+        return res.status(400).json({ error: "org_id is required" });
+      }
+
+      const { records, error } = parseImportRecords(req.body, format);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (records.length === 0) {
+        return res.status(400).json({ error: "no tickets to import" });
+      }
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `at most ${MAX_IMPORT_ROWS} tickets per import` });
+      }
+
+      const [categories, users, labels] = await Promise.all([
+        pool.query(`SELECT ${CATEGORY_COLUMNS} FROM ticket_categories`),
+        pool.query(
+          "SELECT id, lower(email) AS email, role FROM users WHERE org_id = $1 AND role != 'service'",
+          [orgId],
+        ),
+        pool.query(`SELECT ${LABEL_COLUMNS} FROM labels WHERE org_id = $1`, [orgId]),
+      ]);
+      const lookups = {
+        orgId,
+        importerId: req.user.org_id === orgId ? req.user.sub : null,
+        now: Date.now(),
+        categories: new Map(categories.rows.map((category) => [category.name, category])),
+        users: new Map(users.rows.map((user) => [user.email, user])),
+        labels: new Map(labels.rows.map((label) => [label.name.toLowerCase(), label])),
+      };
+
+      const valid = [];
+      const errors = [];
+      for (const [index, record] of records.entries()) {
+        const checked = record.error
+          ? record
+          : validateImportRecord(record.values, mapping, lookups);
+        if (checked.error) {
+          errors.push({ row: index + 1, error: checked.error });
+        } else {
+          valid.push(checked);
+        }
+      }
+
+      if (dryRun) {
+        return res.json({ dry_run: true, rows: records.length, valid: valid.length, errors });
+      }
+      if (errors.length > 0) {
+        return res.status(422).json({
+          error: `${errors.length} row(s) have errors, nothing was imported`,
+          errors,
+        });
+      }
+
+      const tickets = await withTransaction(async (client) => {
+        const imported = [];
+        for (const [index, row] of valid.entries()) {
+          const ticket = await insertTicket(client, row.fields);
+          await logChange(client, ticket.id, req.user.sub, "imported", null, format);
+          await applyLabels(client, [ticket.id], row.labels, [], req.user.sub);
+          imported.push({ row: index + 1, id: ticket.id });
+        }
+        return imported;
+      });
+
+      res.status(201).json({ imported: tickets.length, tickets });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// GET /export - Export tickets as NDJSON (default; each ticket with its history) or CSV
+// (?format=csv), e.g. for backups or spreadsheets (admins). Takes the filters of GET /.
+app.get("/export", authenticate, requireScope("tickets:read"), requireAdmin, exportTickets(false));
+
+// GET /export/history - The history of the same tickets, one change per row or line
+app.get(
+  "/export/history",
+  authenticate,
+  requireScope("tickets:read"),
+  requireAdmin,
+  exportTickets(true),
+);
+
+// POST /inbound-email - Turn a raw email (RFC 822 / MIME) into a ticket, or into a comment
+// when its subject carries a ticket tag such as "[#123]". Service accounts only: the mail
+// gateway posts each message as it arrives, with Content-Type: message/rfc822. The From
+// header proves nothing, so the gateway names the sender it authenticated (SPF/DKIM/DMARC)
+// in X-Authenticated-Sender and only that address is accepted. The sender must be a
+// registered user without staff rights and acts as if signed in; attachments go to S5.
+app.post(
+  "/inbound-email",
+  authenticate,
+  requireScope("tickets:write"),
+  requireService,
+  express.raw({ type: "message/rfc822", limit: INBOUND_EMAIL_MAX_SIZE }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "body must be a raw email (Content-Type: message/rfc822)" });
+      }
+      const message = parseMessage(req.body);
+      if (!message.from) {
+        return res.status(400).json({ error: "email has no sender address" });
+      }
+      const authenticated = (req.get("X-Authenticated-Sender") || "").trim().toLowerCase();
+      if (!authenticated) {
+        return res.status(400).json({ error: "X-Authenticated-Sender header is required" });
+      }
+      if (authenticated !== message.from.address) {
+        return res.status(422).json({ error: "sender address is not authenticated" });
+      }
+
+      const senders = await pool.query(
+        `SELECT id, role, org_id, cross_org FROM users
+         WHERE lower(email) = $1 AND is_active AND role != 'service'`,
+        [message.from.address],
+      );
+      const sender = senders.rows[0];
+      if (!sender) {
+        return res.status(422).json({ error: "sender is not a registered user" });
+      }
+      // Staff and admins see and change far more than requesters; they use the web client
+      if (sender.role !== "user" || sender.cross_org) {
+        return res.status(422).json({ error: "staff and admins cannot send tickets by email" });
+      }
+      const senderUser = { ...sender, sub: sender.id };
+
+      // A reply goes to the tagged ticket (or the one it was merged into) if the sender
+      // may see it; anything else becomes a new ticket
+      const tag = /\[#(\d+)\]/.exec(message.subject);
+      let ticket = tag ? await findVisibleTicket(parseInt(tag[1]), senderUser) : null;
+      if (ticket && ticket.merged_into) {
+        ticket = await findVisibleTicket(ticket.merged_into, senderUser);
+      }
+      let category = null;
+      if (!ticket) {
+        if (!sender.org_id) {
+          return res.status(422).json({ error: "sender has no organization" });
+        }
+        category = await findCategory(pool, INBOUND_EMAIL_CATEGORY);
+        if (!category) {
+          console.error(`Inbound email category "${INBOUND_EMAIL_CATEGORY}" is missing or archived`);
+          return res.status(503).json({ error: "inbound email category is not available" });
+        }
+      }
+
+      const outcome = await withTransaction(async (client) => {
+        // Mail servers redeliver: a Message-ID seen before is acknowledged, not processed again
+        const claimed = await client.query(
+          `INSERT INTO inbound_emails (message_id, sender) VALUES ($1, $2)
+           ON CONFLICT (message_id) DO NOTHING
+           RETURNING id`,
+          [message.messageId, message.from.address],
+        );
+        if (claimed.rows.length === 0) {
+          const seen = await client.query(
+            "SELECT ticket_id, comment_id FROM inbound_emails WHERE message_id = $1",
+            [message.messageId],
+          );
+          return { status: 200, body: { duplicate: true, ...seen.rows[0] } };
+        }
+
+        let comment = null;
+        if (ticket) {
+          const body =
+            stripQuotedReply(message.text).slice(0, MAX_COMMENT_LENGTH) || "(empty message)";
+          const inserted = await client.query(
+            `INSERT INTO ticket_comments (ticket_id, user_id, body)
+             VALUES ($1, $2, $3)
+             RETURNING ${COMMENT_COLUMNS}`,
+            [ticket.id, sender.id, body],
+          );
+          comment = inserted.rows[0];
+        } else {
+          ticket = await insertTicket(client, {
+            userId: sender.id,
+            orgId: sender.org_id,
+            title: message.subject.slice(0, 200) || "(no subject)",
+            description: message.text || "(no text)",
+            category: category.name,
+            // Emails cannot fill in the category's custom fields
+            customFields: {},
+            priority: category.default_priority,
+          });
+        }
+        await client.query(
+          "UPDATE inbound_emails SET ticket_id = $2, comment_id = $3 WHERE id = $1",
+          [claimed.rows[0].id, ticket.id, comment ? comment.id : null],
+        );
+
+        const body = comment
+          ? { action: "comment", ticket_id: ticket.id, comment_id: comment.id }
+          : { action: "ticket", ticket_id: ticket.id };
+        return { status: 201, body, ticket, comment };
+      });
+
+      if (outcome.status !== 201) {
+        return res.status(outcome.status).json(outcome.body);
+      }
+      if (outcome.comment) {
+        notifyComment(outcome.ticket, outcome.comment);
+      } else {
+        // The acknowledgement's subject carries the tag, so replying to it adds a comment
+        sendNotification(
+          sender.id,
+          outcome.ticket.id,
+          "ticket_created",
+          `We received your request '${outcome.ticket.title}' as ticket #${outcome.ticket.id}. Reply to this email to add to it.`,
+          "email",
+        );
+      }
+
+      // Attachments are stored once the ticket exists; the ones S5 refuses are reported
+      const attachments = [];
+      const skipped = [];
+      for (const attachment of message.attachments) {
+        try {
+          const file = await uploadAttachment(outcome.ticket.id, attachment);
+          attachments.push({ id: file.id, filename: attachment.filename });
+        } catch (error) {
+          skipped.push({ filename: attachment.filename, error: error.message });
+        }
+      }
+
+      res.status(201).json({ ...outcome.body, attachments, skipped_attachments: skipped });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// GET /retention - The organization's retention policy, with how many of its tickets are
+// archived, deleted and due for purging (admin; cross-org admins pass ?org_id=)
+app.get("/retention", authenticate, requireScope("tickets:read"), requireAdmin, async (req, res) => {
+  try {
+    const orgId = retentionOrgId(req);
+    if (!orgId) {
+      return res.status(400).json({ error: "org_id is required" });
+    }
+    res.json(await retentionSummary(orgId));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PUT /retention - Set how many days archived tickets are kept before they are purged with
+// their files, notifications and feedback ({ purge_after_days }, null: keep them) (admin)
+app.put("/retention", authenticate, requireScope("tickets:write"), requireAdmin, async (req, res) => {
+  try {
+    const orgId = retentionOrgId(req);
+    if (!orgId) {
+      return res.status(400).json({ error: "org_id is required" });
+    }
+    const days = req.body.purge_after_days;
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS)) {
+      return res.status(400).json({
+        error: `purge_after_days must be between 1 and ${MAX_RETENTION_DAYS}, or null`,
+      });
+    }
+
+    if (days === null) {
+      await pool.query("DELETE FROM retention_policies WHERE org_id = $1", [orgId]);
+    } else {
+      await pool.query(
+        `INSERT INTO retention_policies (org_id, purge_after_days, updated_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (org_id) DO UPDATE
+         SET purge_after_days = $2, updated_by = $3, updated_at = NOW()`,
+        [orgId, days, req.user.sub],
+      );
+    }
+
+    res.json(await retentionSummary(orgId));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /:id - Get a specific ticket (staff can view any in their organization, users only their own)
+// Archived tickets are returned too, with archived_at and without an ETag: they are read-only.
+app.get("/:id", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.id);
+
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
+    }
+
+    const ticket = await findReadableTicket(ticketId, req.user);
+
+    if (!ticket) {
+      return res.status(404).json({ error: "ticket not found" });
+    }
+
+    const archived = ticket.archived_at !== undefined;
+    const labels = await pool.query(
+      `SELECT ${LABELS_SELECT} FROM ${archived ? "tickets_archive AS tickets" : "tickets"}
+       WHERE id = $1`,
+      [ticketId],
+    );
+
+    // Writes send it back as If-Match (PATCH here, and S4's workflow changes)
+    if (!archived) {
+      res.set("ETag", ticketETag(ticket));
+    }
+    res.json({ ...ticket, labels: labels.rows[0].labels });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// PATCH /:id - Update ticket - MUST RETURN JSON
+// Title, description, category and custom_fields can be edited by the requester and by
+// staff; each content edit is stored as a new revision, and custom_fields are checked
+// against the category's fields. The requester can also change the priority and close or
+// reopen the ticket (`action`, see workflow-policy.js); statuses are otherwise set in S4.
+// With If-Match (the ETag of GET /:id), a ticket changed in the meantime is left alone: 412.
+app.patch("/:id", authenticate, requireScope("tickets:write"), async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.id);
+
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
+    }
+
+    const { action, priority } = req.body;
+    if (req.body.status !== undefined) {
+      return res.status(400).json({
+        error: 'status cannot be set here; use "action": "close" or "reopen"',
+      });
+    }
+
+    const { content, error } = parseContentFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Validate that at least one field is provided
+    const customFields = req.body.custom_fields;
+    if (!action && !priority && customFields === undefined && Object.keys(content).length === 0) {
+      return res.status(400).json({
+        error:
+          "at least one field (action, priority, title, description, category or custom_fields) is required",
+      });
+    }
+
+    // Validate priority if provided
+    if (priority && !VALID_PRIORITIES.includes(priority.toLowerCase())) {
+      return res.status(400).json({
+        error: `priority must be one of: ${VALID_PRIORITIES.join(", ")}`,
+      });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const ticket = await findVisibleTicket(ticketId, req.user, client);
+      if (!ticket) {
+        return { status: 404, body: { error: "ticket not found" } };
+      }
+      if (ifMatchFails(req, ticket)) {
+        return changedTicketOutcome(ticket);
+      }
+      if (ticket.merged_into) {
+        return { status: 409, body: { error: mergedTicketError(ticket) } };
+      }
+      if ((action || priority) && ticket.user_id !== req.user.sub) {
+        return {
+          status: 403,
+          body: { error: "only the requester can close, reopen or change priority here" },
+        };
+      }
+      // CC'd colleagues see the ticket, but only its requester and staff change it
+      if (ticket.user_id !== req.user.sub && !isStaffUser(req.user)) {
+        return { status: 403, body: { error: "only the requester or staff can edit this ticket" } };
+      }
+
+      let newStatus = null;
+      if (action) {
+        const transition = requesterAction(action, ticket);
+        if (transition.error) {
+          return { status: 400, body: { error: transition.error } };
+        }
+        newStatus = transition.status;
+      }
+      const newPriority =
+        priority && priority.toLowerCase() !== ticket.priority ? priority.toLowerCase() : null;
+
+      const categoryChanged =
+        content.category !== undefined && content.category !== ticket.category;
+      let newCustomFields = null;
+      if (categoryChanged || customFields !== undefined) {
+        const checked = await categoryCustomFields(
+          client,
+          ticket,
+          categoryChanged ? content.category : ticket.category,
+          customFields,
+        );
+        if (checked.error) {
+          return { status: 400, body: { error: checked.error } };
+        }
+        newCustomFields = checked.customFields;
+      }
+
+      // Build dynamic UPDATE query based on provided fields; unchanged content is skipped
+      const updates = [];
+      const values = [];
+      const set = (column, value) => {
+        values.push(value);
+        updates.push(`${column} = $${values.length}`);
+      };
+
+      if (newStatus) set("status", newStatus);
+      if (newPriority) set("priority", newPriority);
+      const edited = CONTENT_FIELDS.filter(
+        (field) => content[field] !== undefined && content[field] !== ticket[field],
+      );
+      for (const field of edited) set(field, content[field]);
+      if (newCustomFields) set("custom_fields", JSON.stringify(newCustomFields));
+
+      if (updates.length === 0) {
+        return { status: 200, body: ticket, ticket };
+      }
+
+      values.push(ticketId);
+      const result = await client.query(
+        `UPDATE tickets
+         SET ${updates.join(", ")}, updated_at = NOW()
+         WHERE id = $${values.length}
+         RETURNING ${TICKET_COLUMNS}`,
+        values,
+      );
+      const updated = result.rows[0];
+
+      if (newStatus) {
+        await logChange(client, ticketId, req.user.sub, "status", ticket.status, newStatus);
+      }
+      if (newPriority) {
+        await logChange(client, ticketId, req.user.sub, "priority", ticket.priority, newPriority);
+      }
+      if (newCustomFields) {
+        await logChange(
+          client,
+          ticketId,
+          req.user.sub,
+          "custom_fields",
+          JSON.stringify(ticket.custom_fields),
+          JSON.stringify(newCustomFields),
+        );
+      }
+      if (edited.length > 0) {
+        await recordRevision(client, ticket, updated, req.user.sub);
+      }
+      const changed = [...edited];
+      if (newPriority) changed.push("priority");
+      if (newCustomFields) changed.push("custom_fields");
+      return { status: 200, body: updated, ticket: updated, notify: Boolean(newStatus), changed };
+    });
+
+    if (outcome.notify) {
+      notifyRequesterAction(outcome.body, action, req.user.sub);
+    }
+    if (outcome.changed && outcome.changed.length > 0) {
+      notifyWatchers(
+        outcome.body,
+        "ticket_updated",
+        `Ticket #${outcome.body.id} '${outcome.body.title}' was updated: ${outcome.changed.join(", ")}`,
+        [req.user.sub],
+      );
+    }
+
+    if (outcome.ticket) {
+      res.set("ETag", ticketETag(outcome.ticket));
+    }
+    // CRITICAL: Always return JSON response
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// DELETE /:id - Delete a ticket, such as spam (staff only). It moves to the archive tables,
+// out of every list, and can be restored for TICKET_RESTORE_DAYS before it is purged.
+app.delete("/:id", authenticate, requireScope("tickets:write"), requireStaff, async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.id);
+
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const ticket = await findVisibleTicket(ticketId, req.user, client);
+      if (!ticket) {
+        return { status: 404, body: { error: "ticket not found" } };
+      }
+      if (ifMatchFails(req, ticket)) {
+        return changedTicketOutcome(ticket);
+      }
+
+      await archiveTickets(client, [ticketId], req.user.sub);
+      await logChange(client, ticketId, req.user.sub, "deleted", "false", "true");
+      const deleted = await client.query(
+        `SELECT deleted_at + make_interval(days => $2) AS restore_until
+         FROM tickets_archive WHERE id = $1`,
+        [ticketId, TICKET_RESTORE_DAYS],
+      );
+      return {
+        status: 200,
+        body: { message: "ticket deleted", restore_until: deleted.rows[0].restore_until },
+      };
+    });
+
+    // A deleted ticket has no ETag; a 412 carries the version to reload
+    if (outcome.status === 412) {
+      res.set("ETag", ticketETag(outcome.ticket));
+    }
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /:id/restore - Bring a deleted ticket back, with its comments, within
+// TICKET_RESTORE_DAYS of its deletion (staff only)
+app.post("/:id/restore", authenticate, requireScope("tickets:write"), requireStaff, async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.id);
+
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const deleted = await client.query(
+        `SELECT id, version FROM tickets_archive
+         WHERE id = $1 AND ($2::int IS NULL OR org_id = $2)
+           AND deleted_at > NOW() - make_interval(days => $3)
+         FOR UPDATE`,
+        [ticketId, orgScope(req.user), TICKET_RESTORE_DAYS],
+      );
+      if (deleted.rows.length === 0) {
+        return { status: 404, body: { error: "deleted ticket not found" } };
+      }
+      if (ifMatchFails(req, deleted.rows[0])) {
+        return changedTicketOutcome(deleted.rows[0]);
+      }
+
+      const ticket = await unarchiveTicket(client, ticketId);
+      await logChange(client, ticketId, req.user.sub, "deleted", "true", "false");
+      return { status: 200, body: ticket, ticket };
+    });
+
+    if (outcome.ticket) {
+      res.set("ETag", ticketETag(outcome.ticket));
+    }
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /:id/revisions - All revisions of a ticket's content, oldest first
+app.get("/:id/revisions", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.id);
+
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
+    }
+
+    const ticket = await findReadableTicket(ticketId, req.user);
+    if (!ticket) {
+      return res.status(404).json({ error: "ticket not found" });
+    }
+
+    const result = await pool.query(
+      `SELECT ${REVISION_COLUMNS} FROM ticket_revisions WHERE ticket_id = $1 ORDER BY revision`,
+      [ticketId],
+    );
+
+    res.json({ revisions: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /:id/revisions/diff?from=&to= - Compare two revisions (default: the latest with
+// the one before it). Title and description come with a word diff.
+app.get("/:id/revisions/diff", authenticate, requireScope("tickets:read"), async (req, res) => {
   try {
-    const auth = req.headers.authorization || "";
-    const [, token] = auth.split(" ");
-    if (!token) {
-      return res.status(401).json({ error: "missing token" });
+    const ticketId = parseInt(req.params.id);
+
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
     }
 
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload; // { sub: userId, role, email }
-    next();
+    const ticket = await findReadableTicket(ticketId, req.user);
+    if (!ticket) {
+      return res.status(404).json({ error: "ticket not found" });
+    }
+
+    const latest = await pool.query(
+      `SELECT MAX(revision) AS revision FROM ticket_revisions WHERE ticket_id = $1`,
+      [ticketId],
+    );
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : latest.rows[0].revision;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : Math.max(to - 1, 1);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: "from and to must be revision numbers" });
+    }
+
+    const result = await pool.query(
+      `SELECT ${REVISION_COLUMNS} FROM ticket_revisions
+       WHERE ticket_id = $1 AND revision = ANY($2::int[])`,
+      [ticketId, [from, to]],
+    );
+    const older = result.rows.find((row) => row.revision === from);
+    const newer = result.rows.find((row) => row.revision === to);
+    if (!older || !newer) {
+      return res.status(404).json({ error: "revision not found" });
+    }
+
+    const changes = {};
+    for (const field of CONTENT_FIELDS) {
+      changes[field] = {
+        changed: older[field] !== newer[field],
+        from: older[field],
+        to: newer[field],
+      };
+      if (field !== "category") {
+        changes[field].diff = diffWords(older[field], newer[field]);
+      }
+    }
+
+    res.json({ ticket_id: ticketId, from: older, to: newer, changes });
   } catch (err) {
-    return res.status(401).json({ error: "invalid token" });
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
   }
-}
+});
 
-// Initialize tickets table on startup
-async function init() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS tickets (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      description TEXT NOT NULL,
-      category TEXT NOT NULL,
-      status TEXT NOT NULL DEFAULT 'new',
-      priority TEXT NOT NULL DEFAULT 'medium',
-      created_at TIMESTAMP NOT NULL DEFAULT NOW()
-    );
-  `);
+// POST /:id/revisions/:revision/restore - Make an earlier revision the current content
+// again (admin only). The restore is itself a new revision, so nothing is lost.
+app.post(
+  "/:id/revisions/:revision/restore",
+  authenticate,
+  requireScope("tickets:write"),
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const ticketId = parseInt(req.params.id);
+      const revisionNumber = parseInt(req.params.revision);
 
-  // Add priority column if it doesn't exist (for existing databases)
-  await pool
-    .query(
-      `
-    ALTER TABLE tickets
-    ADD COLUMN IF NOT EXISTS priority TEXT NOT NULL DEFAULT 'medium';
-  `,
-    )
-    .catch(() => {
-      // Column might already exist, ignore error
-    });
+      if (isNaN(ticketId) || isNaN(revisionNumber)) {
+        return res.status(400).json({ error: "invalid ticket id or revision" });
+      }
 
-  console.log("Tickets table ready");
-}
+      const outcome = await withTransaction(async (client) => {
+        const ticket = await findVisibleTicket(ticketId, req.user, client);
+        if (!ticket) {
+          return { status: 404, body: { error: "ticket not found" } };
+        }
+        if (ifMatchFails(req, ticket)) {
+          return changedTicketOutcome(ticket);
+        }
+        if (ticket.merged_into) {
+          return { status: 409, body: { error: mergedTicketError(ticket) } };
+        }
 
-// Auto-priority mapping based on category
-const CATEGORY_PRIORITY_MAP = {
-  bug: "high",
-  feature: "medium",
-  support: "medium",
-  other: "low",
-};
+        const result = await client.query(
+          `SELECT ${REVISION_COLUMNS} FROM ticket_revisions WHERE ticket_id = $1 AND revision = $2`,
+          [ticketId, revisionNumber],
+        );
+        const target = result.rows[0];
+        if (!target) {
+          return { status: 404, body: { error: "revision not found" } };
+        }
+        if (CONTENT_FIELDS.every((field) => target[field] === ticket[field])) {
+          return { status: 409, body: { error: "revision matches the current content" } };
+        }
 
-// POST / - Create a new ticket
-app.post("/", authenticate, async (req, res) => {
-  try {
-    const { title, description, category, priority } = req.body;
+        // Back to another category: it must still be in use, and the custom fields follow
+        // its schema as with PATCH /:id
+        let newCustomFields = null;
+        if (target.category !== ticket.category) {
+          const checked = await categoryCustomFields(client, ticket, target.category);
+          if (checked.error) {
+            return { status: 400, body: { error: checked.error } };
+          }
+          newCustomFields = checked.customFields;
+        }
 
-    // Validate required fields
-    if (!title || !description || !category) {
-      return res.status(400).json({
-        error: "title, description, and category are required",
+        const updated = await client.query(
+          `UPDATE tickets
+           SET title = $1, description = $2, category = $3,
+               custom_fields = COALESCE($4::jsonb, custom_fields), updated_at = NOW()
+           WHERE id = $5
+           RETURNING ${TICKET_COLUMNS}`,
+          [
+            target.title,
+            target.description,
+            target.category,
+            newCustomFields && JSON.stringify(newCustomFields),
+            ticketId,
+          ],
+        );
+        if (newCustomFields) {
+          await logChange(
+            client,
+            ticketId,
+            req.user.sub,
+            "custom_fields",
+            JSON.stringify(ticket.custom_fields),
+            JSON.stringify(newCustomFields),
+          );
+        }
+        const revision = await recordRevision(
+          client,
+          ticket,
+          updated.rows[0],
+          req.user.sub,
+          revisionNumber,
+        );
+        return {
+          status: 200,
+          body: { ticket: updated.rows[0], revision },
+          ticket: updated.rows[0],
+        };
       });
+
+      if (outcome.ticket) {
+        res.set("ETag", ticketETag(outcome.ticket));
+      }
+      res.status(outcome.status).json(outcome.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
     }
+  },
+);
 
-    // Validate category is one of the expected values
-    const validCategories = ["bug", "feature", "support", "other"];
-    if (!validCategories.includes(category.toLowerCase())) {
-      return res.status(400).json({
-        error: `category must be one of: ${validCategories.join(", ")}`,
-      });
+// Add or remove labels on one ticket and answer with its labels afterwards
+async function changeTicketLabels(req, res, names, removing) {
+  const ticketId = parseInt(req.params.id);
+
+  if (isNaN(ticketId)) {
+    return res.status(400).json({ error: "invalid ticket id" });
+  }
+
+  const outcome = await withTransaction(async (client) => {
+    const ticket = await findVisibleTicket(ticketId, req.user, client);
+    if (!ticket) {
+      return { status: 404, body: { error: "ticket not found" } };
     }
+    const resolved = await resolveLabels(client, ticket.org_id, names);
+    if (resolved.error) {
+      return { status: 400, body: { error: resolved.error } };
+    }
+    const [add, remove] = removing ? [[], resolved.labels] : [resolved.labels, []];
+    await applyLabels(client, [ticketId], add, remove, req.user.sub);
 
-    // Validate priority if provided
-    const validPriorities = ["low", "medium", "high", "urgent"];
-    const ticketPriority = priority ? priority.toLowerCase() : "medium";
-    if (!validPriorities.includes(ticketPriority)) {
-      return res.status(400).json({
-        error: `priority must be one of: ${validPriorities.join(", ")}`,
-      });
+    const labels = await client.query(`SELECT ${LABELS_SELECT} FROM tickets WHERE id = $1`, [
+      ticketId,
+    ]);
+    return { status: 200, body: { ticket_id: ticketId, labels: labels.rows[0].labels } };
+  });
+
+  res.status(outcome.status).json(outcome.body);
+}
+
+// POST /:id/labels - Add labels to a ticket (staff only). Body: { labels: [names] }
+app.post("/:id/labels", authenticate, requireScope("tickets:write"), requireStaff, async (req, res) => {
+  try {
+    const { names, error } = parseLabelNames(req.body.labels);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    await changeTicketLabels(req, res, names, false);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// DELETE /:id/labels/:name - Remove a label from a ticket (staff only)
+app.delete("/:id/labels/:name", authenticate, requireScope("tickets:write"), requireStaff, async (req, res) => {
+  try {
+    await changeTicketLabels(req, res, [req.params.name.trim().toLowerCase()], true);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// GET /:id/links - The ticket's links to other tickets, oldest first. Requesters see the
+// titles of their own tickets only.
+app.get("/:id/links", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.id);
+
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
     }
 
+    const ticket = await findReadableTicket(ticketId, req.user);
+    if (!ticket) {
+      return res.status(404).json({ error: "ticket not found" });
+    }
+
+    // Links stay in place when either ticket is archived; deleted ones only show to staff
     const result = await pool.query(
-      `INSERT INTO tickets (user_id, title, description, category, priority)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, user_id, title, description, category, status, priority, created_at`,
-      [
-        req.user.sub,
-        title,
-        description,
-        category.toLowerCase(),
-        ticketPriority,
-      ],
+      `SELECT l.id, l.source_id, l.target_id, l.type, l.created_by, l.created_at,
+         t.id AS other_id, t.status AS other_status,
+         CASE WHEN $2 OR t.user_id = $3 THEN t.title END AS other_title
+       FROM ticket_links l
+       JOIN (
+         SELECT id, user_id, title, status FROM tickets
+         UNION ALL
+         SELECT id, user_id, title, status FROM tickets_archive WHERE deleted_at IS NULL OR $2
+       ) t ON t.id = CASE WHEN l.source_id = $1 THEN l.target_id ELSE l.source_id END
+       WHERE l.source_id = $1 OR l.target_id = $1
+       ORDER BY l.created_at, l.id`,
+      [ticketId, isStaffUser(req.user), req.user.sub],
     );
 
-    res.status(201).json(result.rows[0]);
+    res.json({
+      links: result.rows.map((row) =>
+        presentLink(row, ticketId, {
+          id: row.other_id,
+          title: row.other_title,
+          status: row.other_status,
+        }),
+      ),
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// GET / - List tickets (users see their own, staff see all)
-app.get("/", authenticate, async (req, res) => {
+// POST /:id/links - Link the ticket to another one (staff only).
+// Body: { type, ticket_id }, e.g. { type: "blocked_by", ticket_id: 30 }. A ticket marked as
+// a duplicate is resolved, and its requester is pointed to the original.
+app.post("/:id/links", authenticate, requireScope("tickets:write"), requireStaff, async (req, res) => {
   try {
-    // Staff/Admin can see all tickets, regular users only see their own
-    const isStaff = req.user.role === "staff" || req.user.role === "admin";
-
-    let query, params;
+    const ticketId = parseInt(req.params.id);
+    const otherId = req.body.ticket_id;
+    const linkType = parseLinkType(req.body.type);
 
-    if (isStaff) {
-      query = `SELECT id, user_id, title, description, category, status, priority, created_at
-               FROM tickets
-               ORDER BY created_at DESC`;
-      params = [];
-    } else {
-      query = `SELECT id, user_id, title, description, category, status, priority, created_at
-               FROM tickets
-               WHERE user_id = $1
-               ORDER BY created_at DESC`;
-      params = [req.user.sub];
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
     }
+    if (!linkType) {
+      const names = Object.entries(LINK_TYPES).flatMap(([type, rule]) => [type, rule.inverse]);
+      return res
+        .status(400)
+        .json({ error: `type must be one of: ${[...new Set(names)].join(", ")}` });
+    }
+    if (!Number.isInteger(otherId) || otherId < 1) {
+      return res.status(400).json({ error: "ticket_id must be a ticket id" });
+    }
+    if (otherId === ticketId) {
+      return res.status(400).json({ error: "a ticket cannot be linked to itself" });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // One link change at a time, so two concurrent links cannot close a cycle together
+      await client.query("LOCK TABLE ticket_links IN SHARE ROW EXCLUSIVE MODE");
+
+      const found = await lockVisibleTickets(client, [ticketId, otherId], req.user);
+      const ticket = found[ticketId];
+      const other = found[otherId];
+      if (!ticket) {
+        return { status: 404, body: { error: "ticket not found" } };
+      }
+      if (!other) {
+        return { status: 404, body: { error: `ticket #${otherId} not found` } };
+      }
+      if (ticket.org_id !== other.org_id) {
+        return {
+          status: 400,
+          body: { error: "tickets of different organizations cannot be linked" },
+        };
+      }
 
-    const result = await pool.query(query, params);
-    res.json({ tickets: result.rows });
+      const { type } = linkType;
+      const rule = LINK_TYPES[type];
+      const [source, target] = linkType.reversed ? [other, ticket] : [ticket, other];
+
+      const existing = await client.query(
+        `SELECT source_id, target_id FROM ticket_links
+         WHERE type = $1 AND (source_id = $2 OR ($3 AND target_id = $2))`,
+        [type, source.id, type === "relates_to"],
+      );
+      const linked = existing.rows.some(
+        (row) => row.target_id === target.id || row.source_id === target.id,
+      );
+      if (linked) {
+        return { status: 409, body: { error: "tickets are already linked" } };
+      }
+      if (rule.single && existing.rows.length > 0) {
+        return {
+          status: 409,
+          body: {
+            error: `ticket #${source.id} is already ${type} #${existing.rows[0].target_id}; remove that link first`,
+          },
+        };
+      }
+      if (type === "duplicate_of") {
+        const original = await client.query(
+          "SELECT target_id FROM ticket_links WHERE source_id = $1 AND type = 'duplicate_of'",
+          [target.id],
+        );
+        if (original.rows.length > 0) {
+          return {
+            status: 400,
+            body: {
+              error: `ticket #${target.id} is itself a duplicate of #${original.rows[0].target_id}; link to the original`,
+            },
+          };
+        }
+      }
+      if (rule.acyclic && (await createsCycle(client, source.id, target.id, type))) {
+        return { status: 400, body: { error: `link would create a cycle of ${type} links` } };
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO ticket_links (source_id, target_id, type, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${LINK_COLUMNS}`,
+        [source.id, target.id, type, req.user.sub],
+      );
+      const link = inserted.rows[0];
+      await logChange(client, source.id, req.user.sub, "link", null, `${type} #${target.id}`);
+      await logChange(
+        client,
+        target.id,
+        req.user.sub,
+        "link",
+        null,
+        `${rule.inverse} #${source.id}`,
+      );
+
+      // A duplicate is closed; the work goes on in the original
+      let closed = null;
+      if (type === "duplicate_of" && !checkTransition(source.status, "resolved")) {
+        const updated = await client.query(
+          `UPDATE tickets SET status = 'resolved', updated_at = NOW() WHERE id = $1
+           RETURNING ${TICKET_COLUMNS}`,
+          [source.id],
+        );
+        closed = updated.rows[0];
+        found[closed.id] = closed;
+        await logChange(client, source.id, req.user.sub, "status", source.status, "resolved");
+      }
+
+      const body = presentLink(link, ticketId, {
+        id: otherId,
+        title: found[otherId].title,
+        status: found[otherId].status,
+      });
+      if (closed) body.closed_ticket_id = closed.id;
+      return { status: 201, body, closed, original: target };
+    });
+
+    if (outcome.closed) {
+      notifyDuplicate(outcome.closed, outcome.original, req.user.sub);
+    }
+    res.status(outcome.status).json(outcome.body);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// Health check endpoint (MUST come before /:id to avoid being caught by parameter matching)
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", service: "s2-tickets" });
-});
+// DELETE /:id/links/:linkId - Remove a link (staff only). A duplicate stays resolved;
+// reopen it in S4 if needed.
+app.delete(
+  "/:id/links/:linkId",
+  authenticate,
+  requireScope("tickets:write"),
+  requireStaff,
+  async (req, res) => {
+    try {
+      const ticketId = parseInt(req.params.id);
+      const linkId = parseInt(req.params.linkId);
+
+      if (isNaN(ticketId) || isNaN(linkId)) {
+        return res.status(400).json({ error: "invalid ticket or link id" });
+      }
+
+      const outcome = await withTransaction(async (client) => {
+        const ticket = await findVisibleTicket(ticketId, req.user, client);
+        if (!ticket) {
+          return { status: 404, body: { error: "ticket not found" } };
+        }
+        const deleted = await client.query(
+          `DELETE FROM ticket_links WHERE id = $1 AND (source_id = $2 OR target_id = $2)
+           RETURNING ${LINK_COLUMNS}`,
+          [linkId, ticketId],
+        );
+        const link = deleted.rows[0];
+        if (!link) {
+          return { status: 404, body: { error: "link not found" } };
+        }
+        const inverse = LINK_TYPES[link.type].inverse;
+        await logChange(
+          client,
+          link.source_id,
+          req.user.sub,
+          "link",
+          `${link.type} #${link.target_id}`,
+          null,
+        );
+        await logChange(
+          client,
+          link.target_id,
+          req.user.sub,
+          "link",
+          `${inverse} #${link.source_id}`,
+          null,
+        );
+        return { status: 200, body: { message: "link deleted successfully" } };
+      });
+
+      res.status(outcome.status).json(outcome.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
 
-// GET /:id - Get a specific ticket (staff can view any, users only their own)
-app.get("/:id", authenticate, async (req, res) => {
+// POST /:id/merge - Merge the ticket into another one (staff only). Body: { into }
+// Comments, attachments (S5), feedback (S8), labels and history move to the surviving
+// ticket; the merged ticket is resolved and keeps merged_into as a redirect.
+app.post("/:id/merge", authenticate, requireScope("tickets:write"), requireStaff, async (req, res) => {
   try {
     const ticketId = parseInt(req.params.id);
+    const survivorId = req.body.into;
 
     if (isNaN(ticketId)) {
       return res.status(400).json({ error: "invalid ticket id" });
     }
+    if (!Number.isInteger(survivorId) || survivorId < 1) {
+      return res.status(400).json({ error: "into must be a ticket id" });
+    }
+    if (survivorId === ticketId) {
+      return res.status(400).json({ error: "a ticket cannot be merged into itself" });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const found = await lockVisibleTickets(client, [ticketId, survivorId], req.user);
+      const ticket = found[ticketId];
+      const survivor = found[survivorId];
+      if (!ticket) {
+        return { status: 404, body: { error: "ticket not found" } };
+      }
+      if (!survivor) {
+        return { status: 404, body: { error: `ticket #${survivorId} not found` } };
+      }
+      if (ifMatchFails(req, ticket)) {
+        return changedTicketOutcome(ticket);
+      }
+      if (ticket.org_id !== survivor.org_id) {
+        return {
+          status: 400,
+          body: { error: "tickets of different organizations cannot be merged" },
+        };
+      }
+      if (ticket.merged_into) {
+        return { status: 409, body: { error: mergedTicketError(ticket) } };
+      }
+      if (survivor.merged_into) {
+        return {
+          status: 400,
+          body: {
+            error: `ticket #${survivorId} was itself merged into #${survivor.merged_into}; merge into that one`,
+          },
+        };
+      }
 
-    // Staff/Admin can view any ticket, regular users only their own
-    const isStaff = req.user.role === "staff" || req.user.role === "admin";
+      // The media and feedback tables belong to S5 and S8 and exist once those have started
+      const tables = await client.query(
+        `SELECT to_regclass('media_files') IS NOT NULL AS media,
+           to_regclass('feedback') IS NOT NULL AS feedback`,
+      );
+      const move = async (sql) => (await client.query(sql, [ticketId, survivorId])).rowCount;
+      const moved = {
+        comments: await move("UPDATE ticket_comments SET ticket_id = $2 WHERE ticket_id = $1"),
+        attachments: tables.rows[0].media
+          ? await move("UPDATE media_files SET ticket_id = $2 WHERE ticket_id = $1")
+          : 0,
+        // One rating per user and ticket: where both tickets were rated, the survivor's stays
+        feedback: tables.rows[0].feedback
+          ? await move(
+              `UPDATE feedback f SET ticket_id = $2 WHERE f.ticket_id = $1
+               AND NOT EXISTS (
+                 SELECT 1 FROM feedback s WHERE s.ticket_id = $2 AND s.user_id = f.user_id
+               )`,
+            )
+          : 0,
+        history: await move("UPDATE ticket_history SET ticket_id = $2 WHERE ticket_id = $1"),
+      };
+      await client.query(
+        `INSERT INTO ticket_labels (ticket_id, label_id, added_by)
+         SELECT $2, label_id, $3 FROM ticket_labels WHERE ticket_id = $1
+         ON CONFLICT DO NOTHING`,
+        [ticketId, survivorId, req.user.sub],
+      );
+      // Staff keep watching on the survivor; the merged ticket's CCs only follow when both
+      // tickets have the same requester, as the survivor is not theirs to see otherwise
+      await client.query(
+        `INSERT INTO ticket_watchers (ticket_id, user_id, added_by)
+         SELECT $2, w.user_id, w.added_by
+         FROM ticket_watchers w JOIN users u ON u.id = w.user_id
+         WHERE w.ticket_id = $1 AND w.user_id != $3
+           AND (u.role IN ('staff', 'admin') OR $4)
+         ON CONFLICT DO NOTHING`,
+        [ticketId, survivorId, survivor.user_id, ticket.user_id === survivor.user_id],
+      );
+      // The merged ticket's requester does follow: they are CC'd on the survivor, which now
+      // holds their comments and attachments and takes their email replies
+      if (ticket.user_id !== survivor.user_id) {
+        await client.query(
+          `INSERT INTO ticket_watchers (ticket_id, user_id, added_by)
+           VALUES ($1, $2, $3)
+           ON CONFLICT DO NOTHING`,
+          [survivorId, ticket.user_id, req.user.sub],
+        );
+      }
+      // Tickets merged into this one earlier now point straight at the survivor
+      await client.query("UPDATE tickets SET merged_into = $2 WHERE merged_into = $1", [
+        ticketId,
+        survivorId,
+      ]);
 
-    let query, params;
+      // The merged ticket's own text stays visible to staff on the survivor
+      await client.query(
+        `INSERT INTO ticket_comments (ticket_id, user_id, body, internal)
+         VALUES ($1, $2, $3, TRUE)`,
+        [
+          survivorId,
+          req.user.sub,
+          `Merged from ticket #${ticketId} '${ticket.title}':\n\n${ticket.description}`,
+        ],
+      );
 
-    if (isStaff) {
-      query = `SELECT id, user_id, title, description, category, status, priority, created_at
-               FROM tickets
-               WHERE id = $1`;
-      params = [ticketId];
-    } else {
-      query = `SELECT id, user_id, title, description, category, status, priority, created_at
-               FROM tickets
-               WHERE id = $1 AND user_id = $2`;
-      params = [ticketId, req.user.sub];
+      const newStatus = checkTransition(ticket.status, "resolved") ? ticket.status : "resolved";
+      const updated = await client.query(
+        `UPDATE tickets SET status = $2, merged_into = $3, updated_at = NOW() WHERE id = $1
+         RETURNING ${TICKET_COLUMNS}`,
+        [ticketId, newStatus, survivorId],
+      );
+      if (newStatus !== ticket.status) {
+        await logChange(client, ticketId, req.user.sub, "status", ticket.status, newStatus);
+      }
+      await logChange(client, ticketId, req.user.sub, "merged_into", null, `#${survivorId}`);
+      await logChange(client, survivorId, req.user.sub, "merged", null, `#${ticketId}`);
+      await client.query("UPDATE tickets SET updated_at = NOW() WHERE id = $1", [survivorId]);
+
+      return {
+        status: 200,
+        body: { ticket: updated.rows[0], merged_into: survivorId, moved },
+        ticket: updated.rows[0],
+        merged: updated.rows[0],
+        survivor,
+      };
+    });
+
+    if (outcome.merged) {
+      notifyMerge(outcome.merged, outcome.survivor, req.user.sub);
+    }
+    if (outcome.ticket) {
+      res.set("ETag", ticketETag(outcome.ticket));
     }
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
 
-    const result = await pool.query(query, params);
+// GET /:id/watchers - Who follows the ticket besides its requester: staff watching it and
+// colleagues the requester CC'd
+app.get("/:id/watchers", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.id);
 
-    if (result.rows.length === 0) {
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
+    }
+
+    const ticket = await findReadableTicket(ticketId, req.user);
+    if (!ticket) {
       return res.status(404).json({ error: "ticket not found" });
     }
 
-    res.json(result.rows[0]);
+    const result = await pool.query(
+      `SELECT ${WATCHER_COLUMNS} FROM ticket_watchers WHERE ticket_id = $1
+       ORDER BY created_at, user_id`,
+      [ticketId],
+    );
+
+    res.json({
+      watchers: result.rows,
+      watching: result.rows.some((watcher) => watcher.user_id === req.user.sub),
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
-// PATCH /:id - Update ticket (status, priority, etc.) - MUST RETURN JSON
-app.patch("/:id", authenticate, async (req, res) => {
+// POST /:id/watchers - Watch the ticket (empty body), or CC a colleague of the ticket's
+// organization ({ user_id } or { email }; requester and staff only)
+app.post("/:id/watchers", authenticate, requireScope("tickets:write"), async (req, res) => {
   try {
     const ticketId = parseInt(req.params.id);
 
@@ -197,65 +4066,320 @@ app.patch("/:id", authenticate, async (req, res) => {
       return res.status(400).json({ error: "invalid ticket id" });
     }
 
-    const { status, priority } = req.body;
-
-    // Validate that at least one field is provided
-    if (!status && !priority) {
-      return res.status(400).json({
-        error: "at least one field (status or priority) is required",
-      });
+    const { user_id, email } = req.body;
+    if (user_id !== undefined && email !== undefined) {
+      return res.status(400).json({ error: "give either user_id or email" });
+    }
+    if (user_id !== undefined && !Number.isInteger(user_id)) {
+      return res.status(400).json({ error: "user_id must be a user id" });
+    }
+    if (email !== undefined && (typeof email !== "string" || !email.trim())) {
+      return res.status(400).json({ error: "email must be an email address" });
     }
 
-    // Validate priority if provided
-    if (priority) {
-      const validPriorities = ["low", "medium", "high", "urgent"];
-      if (!validPriorities.includes(priority.toLowerCase())) {
-        return res.status(400).json({
-          error: `priority must be one of: ${validPriorities.join(", ")}`,
-        });
+    const outcome = await withTransaction(async (client) => {
+      const ticket = await findVisibleTicket(ticketId, req.user, client);
+      if (!ticket) {
+        return { status: 404, body: { error: "ticket not found" } };
+      }
+      if (ticket.merged_into) {
+        return { status: 409, body: { error: mergedTicketError(ticket) } };
+      }
+
+      let watcher = { id: req.user.sub };
+      if (user_id !== undefined || email !== undefined) {
+        const found = await client.query(
+          `SELECT u.id, ${WATCHER_CHANNEL} AS channel FROM users u
+           WHERE (u.id = $1 OR lower(u.email) = $2) AND u.org_id = $3
+             AND u.is_active AND u.role != 'service'`,
+          [user_id ?? null, email ? email.trim().toLowerCase() : null, ticket.org_id],
+        );
+        if (found.rows.length === 0) {
+          return {
+            status: 400,
+            body: { error: "watcher must be an active user of the ticket's organization" },
+          };
+        }
+        watcher = found.rows[0];
+      }
+      const watcherId = watcher.id;
+      const cc = watcherId !== req.user.sub;
+      if (cc && ticket.user_id !== req.user.sub && !isStaffUser(req.user)) {
+        return { status: 403, body: { error: "only the requester or staff can add CCs" } };
+      }
+      if (watcherId === ticket.user_id) {
+        return {
+          status: 400,
+          body: { error: "the requester is notified about the ticket already" },
+        };
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO ticket_watchers (ticket_id, user_id, added_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT DO NOTHING
+         RETURNING ${WATCHER_COLUMNS}`,
+        [ticketId, watcherId, req.user.sub],
+      );
+      if (inserted.rows.length === 0) {
+        const existing = await client.query(
+          `SELECT ${WATCHER_COLUMNS} FROM ticket_watchers WHERE ticket_id = $1 AND user_id = $2`,
+          [ticketId, watcherId],
+        );
+        return { status: 200, body: existing.rows[0] };
+      }
+      if (cc) {
+        await logChange(client, ticketId, req.user.sub, "cc", null, String(watcherId));
       }
+      return { status: 201, body: inserted.rows[0], ticket, watcher: cc ? watcher : null };
+    });
+
+    // A CC'd colleague learns about it on their own channel
+    if (outcome.watcher) {
+      sendNotification(
+        outcome.watcher.id,
+        outcome.ticket.id,
+        "ticket_updated",
+        `You were added to ticket #${outcome.ticket.id} '${outcome.ticket.title}' and will be notified of its updates`,
+        outcome.watcher.channel,
+      );
     }
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// DELETE /:id/watchers/:userId - Stop watching (userId "me"), or remove a CC
+// (requester and staff)
+app.delete(
+  "/:id/watchers/:userId",
+  authenticate,
+  requireScope("tickets:write"),
+  async (req, res) => {
+    try {
+      const ticketId = parseInt(req.params.id);
+      const watcherId = req.params.userId === "me" ? req.user.sub : parseInt(req.params.userId);
+
+      if (isNaN(ticketId) || isNaN(watcherId)) {
+        return res.status(400).json({ error: "invalid ticket or user id" });
+      }
 
-    // Build dynamic UPDATE query based on provided fields
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
+      const outcome = await withTransaction(async (client) => {
+        const ticket = await findVisibleTicket(ticketId, req.user, client);
+        if (!ticket) {
+          return { status: 404, body: { error: "ticket not found" } };
+        }
+        const cc = watcherId !== req.user.sub;
+        if (cc && ticket.user_id !== req.user.sub && !isStaffUser(req.user)) {
+          return { status: 403, body: { error: "only the requester or staff can remove CCs" } };
+        }
 
-    if (status) {
-      updates.push(`status = $${paramCount}`);
-      values.push(status.toLowerCase());
-      paramCount++;
+        const deleted = await client.query(
+          "DELETE FROM ticket_watchers WHERE ticket_id = $1 AND user_id = $2",
+          [ticketId, watcherId],
+        );
+        if (deleted.rowCount === 0) {
+          return { status: 404, body: { error: "watcher not found" } };
+        }
+        if (cc) {
+          await logChange(client, ticketId, req.user.sub, "cc", String(watcherId), null);
+        }
+        return { status: 200, body: { message: "watcher removed successfully" } };
+      });
+
+      res.status(outcome.status).json(outcome.body);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
     }
+  },
+);
+
+// GET /:id/comments - Comments on a ticket, oldest first (internal notes only for staff)
+app.get("/:id/comments", authenticate, requireScope("tickets:read"), async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.id);
 
-    if (priority) {
-      updates.push(`priority = $${paramCount}`);
-      values.push(priority.toLowerCase());
-      paramCount++;
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
     }
 
-    // Add ticket ID and user ID to values
-    values.push(ticketId, req.user.sub);
+    const ticket = await findReadableTicket(ticketId, req.user);
+    if (!ticket) {
+      return res.status(404).json({ error: "ticket not found" });
+    }
 
     const result = await pool.query(
-      `UPDATE tickets
-       SET ${updates.join(", ")}
-       WHERE id = $${paramCount} AND user_id = $${paramCount + 1}
-       RETURNING id, user_id, title, description, category, status, priority, created_at`,
-      values,
+      `SELECT ${COMMENT_COLUMNS}
+       FROM ${ticket.archived_at !== undefined ? "ticket_comments_archive" : "ticket_comments"}
+       WHERE ticket_id = $1 AND ($2 OR NOT internal)
+       ORDER BY created_at, id`,
+      [ticketId, isStaffUser(req.user)],
     );
 
-    if (result.rows.length === 0) {
+    res.json({ comments: result.rows });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /:id/comments - Add a comment ({ body, internal }); internal notes are staff-only.
+// Public comments notify the other party through S6. Takes an Idempotency-Key like POST /.
+app.post("/:id/comments", authenticate, requireScope("tickets:write"), async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.id);
+
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
+    }
+    const idempotency = idempotencyKey(req);
+    if (idempotency.error) {
+      return res.status(400).json({ error: idempotency.error });
+    }
+
+    const { body } = req.body;
+    const internal = req.body.internal === true;
+
+    const bodyError = validateCommentBody(body);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+    if (internal && !isStaffUser(req.user)) {
+      return res.status(403).json({ error: "only staff can add internal notes" });
+    }
+
+    const ticket = await findVisibleTicket(ticketId, req.user);
+    if (!ticket) {
       return res.status(404).json({ error: "ticket not found" });
     }
+    if (ticket.merged_into) {
+      return res.status(409).json({ error: mergedTicketError(ticket) });
+    }
 
-    // CRITICAL: Always return JSON response
-    res.json(result.rows[0]);
+    const outcome = await withTransaction(async (client) => {
+      if (idempotency.key) {
+        const previous = await claimIdempotencyKey(client, req, idempotency.key);
+        if (previous) return previous;
+      }
+      const result = await client.query(
+        `INSERT INTO ticket_comments (ticket_id, user_id, body, internal)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${COMMENT_COLUMNS}`,
+        [ticketId, req.user.sub, body.trim(), internal],
+      );
+      const created = { status: 201, body: result.rows[0] };
+      if (idempotency.key) await saveIdempotentOutcome(client, req, idempotency.key, created);
+      return created;
+    });
+
+    if (outcome.replayed) {
+      res.set("Idempotent-Replayed", "true");
+    } else if (outcome.status === 201) {
+      notifyComment(ticket, outcome.body);
+    }
+    res.status(outcome.status).json(outcome.body);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
+// PATCH /:id/comments/:commentId - Edit a comment ({ body }); only its author can
+app.patch(
+  "/:id/comments/:commentId",
+  authenticate,
+  requireScope("tickets:write"),
+  async (req, res) => {
+    try {
+      const ticketId = parseInt(req.params.id);
+      const commentId = parseInt(req.params.commentId);
+
+      if (isNaN(ticketId) || isNaN(commentId)) {
+        return res.status(400).json({ error: "invalid ticket or comment id" });
+      }
+
+      const bodyError = validateCommentBody(req.body.body);
+      if (bodyError) {
+        return res.status(400).json({ error: bodyError });
+      }
+
+      const ticket = await findVisibleTicket(ticketId, req.user);
+      if (!ticket) {
+        return res.status(404).json({ error: "ticket not found" });
+      }
+
+      const existing = await pool.query(
+        `SELECT user_id FROM ticket_comments
+         WHERE id = $1 AND ticket_id = $2 AND ($3 OR NOT internal)`,
+        [commentId, ticketId, isStaffUser(req.user)],
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "comment not found" });
+      }
+      if (existing.rows[0].user_id !== req.user.sub) {
+        return res.status(403).json({ error: "only the author can edit a comment" });
+      }
+
+      const result = await pool.query(
+        `UPDATE ticket_comments SET body = $1, edited_at = NOW()
+         WHERE id = $2
+         RETURNING ${COMMENT_COLUMNS}`,
+        [req.body.body.trim(), commentId],
+      );
+
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
+// DELETE /:id/comments/:commentId - Delete a comment (author or staff)
+app.delete(
+  "/:id/comments/:commentId",
+  authenticate,
+  requireScope("tickets:write"),
+  async (req, res) => {
+    try {
+      const ticketId = parseInt(req.params.id);
+      const commentId = parseInt(req.params.commentId);
+
+      if (isNaN(ticketId) || isNaN(commentId)) {
+        return res.status(400).json({ error: "invalid ticket or comment id" });
+      }
+
+      const ticket = await findVisibleTicket(ticketId, req.user);
+      if (!ticket) {
+        return res.status(404).json({ error: "ticket not found" });
+      }
+
+      const isStaff = isStaffUser(req.user);
+      const existing = await pool.query(
+        `SELECT user_id FROM ticket_comments
+         WHERE id = $1 AND ticket_id = $2 AND ($3 OR NOT internal)`,
+        [commentId, ticketId, isStaff],
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "comment not found" });
+      }
+      if (!isStaff && existing.rows[0].user_id !== req.user.sub) {
+        return res.status(403).json({ error: "permission denied" });
+      }
+
+      await pool.query("DELETE FROM ticket_comments WHERE id = $1", [commentId]);
+
+      res.json({ message: "comment deleted successfully" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "internal error" });
+    }
+  },
+);
+
 const PORT = process.env.PORT || 3002;
 const registerService = require('./register-helper');
 
@@ -263,6 +4387,9 @@ init().then(() => {
   app.listen(PORT, async () => {
     console.log(`S2 Ticket Intake service running on port ${PORT}`);
 
+    runTicketMaintenance();
+    setInterval(runTicketMaintenance, MAINTENANCE_INTERVAL);
+
     // Register with service registry
     await registerService('s2-tickets', 's2-ticket-intake', PORT, '/health');
   });
@@ -0,0 +1,77 @@
+/**
+ * Text Diff Helper
+ *
+ * Word-level diff of two texts (longest common subsequence), used to compare ticket
+ * revisions. Whitespace is kept as its own token, so joining the `text` of all parts
+ * of one side gives back that side exactly.
+ *
+ * Usage:
+ *   const { diffWords } = require('./text-diff');
+ *   diffWords('printer is broken', 'printer is still broken');
+ *   // [{ op: 'equal', text: 'printer is ' }, { op: 'add', text: 'still ' }, { op: 'equal', text: 'broken' }]
+ */
+
+// Above this many LCS cells (old tokens x new tokens) the texts are reported as replaced
+const MAX_CELLS = 4000000;
+
+function tokenize(text) {
+  return text.match(/\s+|[^\s]+/g) || [];
+}
+
+// Append a token to the result, merging it into the previous part when the op matches
+function push(parts, op, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.op === op) {
+    last.text += text;
+  } else {
+    parts.push({ op, text });
+  }
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ op: 'equal'|'add'|'remove', text: string }>}
+ */
+function diffWords(oldText, newText) {
+  const a = tokenize(oldText || '');
+  const b = tokenize(newText || '');
+  const parts = [];
+
+  if (a.length * b.length > MAX_CELLS) {
+    if (oldText) push(parts, 'remove', oldText);
+    if (newText) push(parts, 'add', newText);
+    return parts;
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(parts, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push(parts, 'remove', a[i++]);
+    } else {
+      push(parts, 'add', b[j++]);
+    }
+  }
+  while (i < a.length) push(parts, 'remove', a[i++]);
+  while (j < b.length) push(parts, 'add', b[j++]);
+
+  return parts;
+}
+
+module.exports = {
+  diffWords,
+};
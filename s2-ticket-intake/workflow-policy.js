@@ -0,0 +1,81 @@
+/**
+ * Workflow Policy
+ *
+ * The ticket status rules, shared by every service that changes a ticket's status.
+ * Copy this file unchanged into those services (s2-ticket-intake, s4-workflow), like
+ * auth-helper.js, so they cannot drift apart.
+ *
+ * Staff move tickets along STATUS_TRANSITIONS (s4-workflow). Requesters never set a
+ * status directly: they take one of the REQUESTER_ACTIONS on their own ticket, which
+ * maps to an allowed transition.
+ *
+ * Usage:
+ *   const { checkTransition, requesterAction } = require('./workflow-policy');
+ *   const error = checkTransition(ticket.status, 'resolved'); // null when allowed
+ *   const { status, error } = requesterAction('reopen', ticket);
+ */
+
+const VALID_STATUSES = ['new', 'assigned', 'in_progress', 'resolved'];
+
+// Status flow validation
+const STATUS_TRANSITIONS = {
+  new: ['assigned', 'in_progress', 'resolved'],
+  assigned: ['new', 'in_progress', 'resolved'],
+  in_progress: ['new', 'assigned', 'resolved'],
+  resolved: ['new', 'assigned', 'in_progress'],
+};
+
+// What a requester may do with their own ticket: the statuses it applies to and the
+// status it leads to. A reopened ticket goes back to its assignee, if it still has one.
+const REQUESTER_ACTIONS = {
+  close: {
+    from: ['new', 'assigned', 'in_progress'],
+    to: () => 'resolved',
+  },
+  reopen: {
+    from: ['resolved'],
+    to: (ticket) => (ticket.assigned_to ? 'assigned' : 'new'),
+  },
+};
+
+/**
+ * Check a status change against STATUS_TRANSITIONS
+ * @returns {string|null} Error message, or null when the transition is allowed
+ */
+function checkTransition(from, to) {
+  if (!VALID_STATUSES.includes(to)) {
+    return `status must be: ${VALID_STATUSES.join(', ')}`;
+  }
+  const allowed = STATUS_TRANSITIONS[from] || [];
+  if (!allowed.includes(to)) {
+    return `cannot transition from ${from} to ${to}. Allowed: ${allowed.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Resolve a requester action on a ticket to its new status
+ * @param {string} action - One of REQUESTER_ACTIONS (close, reopen)
+ * @param {{ status: string, assigned_to: number|null }} ticket
+ * @returns {{ status?: string, error?: string }}
+ */
+function requesterAction(action, ticket) {
+  const rule = Object.hasOwn(REQUESTER_ACTIONS, action) ? REQUESTER_ACTIONS[action] : null;
+  if (!rule) {
+    return { error: `action must be one of: ${Object.keys(REQUESTER_ACTIONS).join(', ')}` };
+  }
+  if (!rule.from.includes(ticket.status)) {
+    return { error: `cannot ${action} a ticket that is ${ticket.status}` };
+  }
+  const status = rule.to(ticket);
+  const error = checkTransition(ticket.status, status);
+  return error ? { error } : { status };
+}
+
+module.exports = {
+  VALID_STATUSES,
+  STATUS_TRANSITIONS,
+  REQUESTER_ACTIONS,
+  checkTransition,
+  requesterAction,
+};
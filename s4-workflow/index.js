@@ -1,6 +1,7 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const { createAuthenticate, requireScope, orgScope } = require("./auth-helper");
 const { Pool } = require("pg");
+const { VALID_STATUSES, checkTransition } = require("./workflow-policy");
 const cors = require("cors");
 const app = express();
 app.use(cors());
@@ -10,60 +11,66 @@ const pool = new Pool({
   connectionString: process.env.DB_URL,
 });
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
-
 // Service Discovery URL for Notifications (Docker internal DNS)
 const NOTIFICATION_SERVICE_URL = "http://s6-notifications:3006";
 
-// Valid workflow states and priorities
-const VALID_STATUSES = ["new", "assigned", "in_progress", "resolved"];
+// API key of this service's service account (scope notifications:write), issued by s1-auth
+const SERVICE_API_KEY = process.env.SERVICE_API_KEY;
+
+// Valid priorities; statuses and their transitions are in workflow-policy.js (shared with S2)
 const VALID_PRIORITIES = ["low", "medium", "high", "urgent"];
 
-// Status flow validation
-const STATUS_TRANSITIONS = {
-  new: ["assigned", "in_progress", "resolved"],
-  assigned: ["new", "in_progress", "resolved"],
-  in_progress: ["new", "assigned", "resolved"],
-  resolved: ["new", "assigned", "in_progress"],
-};
+// Middleware to verify JWT and extract user info (see auth-helper.js)
+const authenticate = createAuthenticate(pool);
 
-// Middleware to verify JWT
-function authenticate(req, res, next) {
+// Middleware to check staff role against the users table, so demoted or
+// deactivated accounts lose access even while their token is still valid
+async function requireStaff(req, res, next) {
   try {
-    const auth = req.headers.authorization || "";
-    const [, token] = auth.split(" ");
-    if (!token) return res.status(401).json({ error: "missing token" });
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload;
-    next();
+    const result = await pool.query(
+      "SELECT role, is_active FROM users WHERE id = $1",
+      [req.user.sub],
+    );
+    const account = result.rows[0];
+    if (!account || !account.is_active) {
+      return res.status(403).json({ error: "account deactivated" });
+    }
+    // Service accounts act for other services; their API key scopes are the limit
+    if (!["staff", "admin", "service"].includes(account.role)) {
+      return res.status(403).json({ error: "requires staff or admin role" });
+    }
   } catch (err) {
-    return res.status(401).json({ error: "invalid token" });
-  }
-}
-
-// Middleware to check staff role
-function requireStaff(req, res, next) {
-  if (req.user.role !== "staff" && req.user.role !== "admin") {
-    return res.status(403).json({ error: "requires staff or admin role" });
+    console.error(err);
+    return res.status(500).json({ error: "internal error" });
   }
   next();
 }
 
 // Helper: Send Notification to S6 Service
-async function sendNotification(authToken, userId, ticketId, message) {
+async function sendNotification(
+  userId,
+  ticketId,
+  message,
+  type = "ticket_status_changed",
+  channel = "in_app",
+) {
+  if (!SERVICE_API_KEY) {
+    console.warn("SERVICE_API_KEY not set, skipping notification");
+    return;
+  }
   try {
     // We use fetch (native in Node 18+)
     await fetch(`${NOTIFICATION_SERVICE_URL}/notify`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: authToken, // Pass the staff's token to authorize the request
+        Authorization: `Bearer ${SERVICE_API_KEY}`,
       },
       body: JSON.stringify({
         user_id: userId,
         ticket_id: ticketId,
-        type: "ticket_status_changed",
-        channel: "in_app",
+        type,
+        channel,
         message: message,
       }),
     });
@@ -74,13 +81,38 @@ async function sendNotification(authToken, userId, ticketId, message) {
   }
 }
 
+// A watcher's channel (S1 profile: notification_channel); SMS needs a phone number
+const WATCHER_CHANNEL = `CASE
+  WHEN u.notification_channel = 'sms' AND u.phone IS NULL THEN 'in_app'
+  ELSE COALESCE(u.notification_channel, 'in_app')
+END`;
+
+// Tell the watchers of a ticket (S2's ticket_watchers) about a change, each on their own
+// channel. `skip`: users who made the change or were told already.
+async function notifyWatchers(ticketId, type, message, skip) {
+  try {
+    const result = await pool.query(
+      `SELECT w.user_id, ${WATCHER_CHANNEL} AS channel
+       FROM ticket_watchers w JOIN users u ON u.id = w.user_id
+       WHERE w.ticket_id = $1 AND u.is_active AND NOT (w.user_id = ANY($2::int[]))`,
+      [ticketId, skip.filter((id) => id !== null)],
+    );
+    for (const watcher of result.rows) {
+      await sendNotification(watcher.user_id, ticketId, message, type, watcher.channel);
+    }
+  } catch (error) {
+    console.error("Failed to notify watchers:", error.message);
+  }
+}
+
 async function init() {
   try {
     await pool.query(`
       ALTER TABLE tickets
       ADD COLUMN IF NOT EXISTS priority TEXT NOT NULL DEFAULT 'medium',
       ADD COLUMN IF NOT EXISTS assigned_to INTEGER,
-      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW();
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
     `);
     await pool.query(`
       CREATE TABLE IF NOT EXISTS ticket_history (
@@ -93,22 +125,82 @@ async function init() {
         changed_at TIMESTAMP NOT NULL DEFAULT NOW()
       );
     `);
+    // Watchers are managed by S2 (POST /tickets/:id/watchers); same schema
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ticket_watchers (
+        ticket_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        added_by INTEGER NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (ticket_id, user_id)
+      );
+    `);
     console.log("Workflow tables ready");
   } catch (err) {
     console.log("Error initializing tables", err);
   }
 }
 
-async function logChange(ticketId, userId, fieldName, oldValue, newValue) {
-  await pool.query(
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Record a change in the ticket_history timeline, in the transaction of the change itself
+async function logChange(client, ticketId, userId, fieldName, oldValue, newValue) {
+  await client.query(
     `INSERT INTO ticket_history (ticket_id, changed_by, field_name, old_value, new_value)
      VALUES ($1, $2, $3, $4, $5)`,
     [ticketId, userId, fieldName, oldValue, newValue],
   );
 }
 
+// A ticket of the user's organization, locked until the transaction ends, or null
+async function lockTicket(client, ticketId, user) {
+  const result = await client.query(
+    "SELECT * FROM tickets WHERE id = $1 AND ($2::int IS NULL OR org_id = $2) FOR UPDATE",
+    [ticketId, orgScope(user)],
+  );
+  return result.rows[0] || null;
+}
+
+// Tickets carry a version that S2's trigger bumps on every update; it is their ETag
+function ticketETag(ticket) {
+  return `"${ticket.version}"`;
+}
+
+// If-Match of a write that no longer matches the ticket: someone else changed it since the
+// client read it. Without If-Match the write goes ahead.
+function ifMatchFails(req, ticket) {
+  const header = req.get("If-Match");
+  if (header === undefined) return false;
+  const tags = header.split(",").map((tag) => tag.trim());
+  return !tags.includes("*") && !tags.includes(ticketETag(ticket));
+}
+
+const STALE_TICKET = {
+  status: 412,
+  body: { error: "ticket was changed by someone else; reload it and try again" },
+};
+
+// Send a write's outcome; tickets come with their ETag (also with 412, for the reload)
+function sendOutcome(res, outcome) {
+  if (outcome.ticket) res.set("ETag", ticketETag(outcome.ticket));
+  res.status(outcome.status).json(outcome.body);
+}
+
 // PATCH /priority/:id
-app.patch("/priority/:id", authenticate, requireStaff, async (req, res) => {
+app.patch("/priority/:id", authenticate, requireScope("workflow:write"), requireStaff, async (req, res) => {
   try {
     const ticketId = parseInt(req.params.id);
     const { priority } = req.body;
@@ -120,40 +212,74 @@ app.patch("/priority/:id", authenticate, requireStaff, async (req, res) => {
         .status(400)
         .json({ error: `priority must be: ${VALID_PRIORITIES.join(", ")}` });
     }
+    const newPriority = priority.toLowerCase();
 
-    const current = await pool.query(
-      "SELECT priority FROM tickets WHERE id = $1",
-      [ticketId],
-    );
-    if (current.rows.length === 0)
-      return res.status(404).json({ error: "ticket not found" });
-
-    const oldPriority = current.rows[0].priority;
+    const outcome = await withTransaction(async (client) => {
+      const current = await lockTicket(client, ticketId, req.user);
+      if (!current) return { status: 404, body: { error: "ticket not found" } };
+      if (ifMatchFails(req, current)) return { ...STALE_TICKET, ticket: current };
 
-    const result = await pool.query(
-      `UPDATE tickets SET priority = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
-      [priority.toLowerCase(), ticketId],
-    );
+      const result = await client.query(
+        `UPDATE tickets SET priority = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+        [newPriority, ticketId],
+      );
+      await logChange(client, ticketId, req.user.sub, "priority", current.priority, newPriority);
+      return { status: 200, body: result.rows[0], ticket: result.rows[0], before: current };
+    });
 
-    await logChange(
-      ticketId,
-      req.user.sub,
-      "priority",
-      oldPriority,
-      priority.toLowerCase(),
-    );
-    res.json(result.rows[0]);
+    if (outcome.before && outcome.before.priority !== newPriority) {
+      await notifyWatchers(
+        ticketId,
+        "ticket_updated",
+        `Ticket #${ticketId} '${outcome.before.title}' now has ${newPriority} priority`,
+        [req.user.sub],
+      );
+    }
+    sendOutcome(res, outcome);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
   }
 });
 
+// Resolve the open descendants of a ticket along S2's child_of links (ticket_links), each
+// with a history entry, in the transaction that resolves the parent. Returns the resolved
+// tickets (id, user_id, title) to notify once it is committed.
+async function resolveChildren(client, ticketId, user) {
+  const result = await client.query(
+    `WITH RECURSIVE descendants(id) AS (
+       SELECT source_id FROM ticket_links WHERE target_id = $1 AND type = 'child_of'
+       UNION
+       SELECT l.source_id FROM ticket_links l JOIN descendants d ON l.target_id = d.id
+       WHERE l.type = 'child_of'
+     )
+     SELECT t.id, t.status, t.user_id, t.title FROM tickets t JOIN descendants d ON d.id = t.id
+     WHERE ($2::int IS NULL OR t.org_id = $2)
+     ORDER BY t.id
+     FOR UPDATE OF t`,
+    [ticketId, orgScope(user)],
+  );
+
+  const resolved = [];
+  for (const child of result.rows) {
+    if (checkTransition(child.status, "resolved")) continue;
+    await client.query(
+      "UPDATE tickets SET status = 'resolved', updated_at = NOW() WHERE id = $1",
+      [child.id],
+    );
+    await logChange(client, child.id, user.sub, "status", child.status, "resolved");
+    resolved.push(child);
+  }
+  return resolved;
+}
+
 // PATCH /status/:id - Update status AND Notify
-app.patch("/status/:id", authenticate, requireStaff, async (req, res) => {
+// Body: { status, cascade? }; with cascade: true, resolving a ticket also resolves its
+// child tickets (and theirs)
+app.patch("/status/:id", authenticate, requireScope("workflow:write"), requireStaff, async (req, res) => {
   try {
     const ticketId = parseInt(req.params.id);
-    const { status } = req.body;
+    const { status, cascade } = req.body;
 
     if (isNaN(ticketId))
       return res.status(400).json({ error: "invalid ticket id" });
@@ -162,48 +288,74 @@ app.patch("/status/:id", authenticate, requireStaff, async (req, res) => {
         .status(400)
         .json({ error: `status must be: ${VALID_STATUSES.join(", ")}` });
     }
-
-    // --- CHANGE 1: Fetch user_id and title to use in notification ---
-    const current = await pool.query(
-      "SELECT status, user_id, title FROM tickets WHERE id = $1",
-      [ticketId],
-    );
-
-    if (current.rows.length === 0)
-      return res.status(404).json({ error: "ticket not found" });
-
-    const currentStatus = current.rows[0].status.toLowerCase();
-    const ticketOwnerId = current.rows[0].user_id; // For notification
-    const ticketTitle = current.rows[0].title; // For notification
-
-    const newStatus = status.toLowerCase();
-
-    // Validation
-    const allowedTransitions = STATUS_TRANSITIONS[currentStatus] || [];
-    if (!allowedTransitions.includes(newStatus)) {
-      return res.status(400).json({
-        error: `cannot transition from ${currentStatus} to ${newStatus}. Allowed: ${allowedTransitions.join(", ")}`,
-      });
+    if (cascade !== undefined && typeof cascade !== "boolean") {
+      return res.status(400).json({ error: "cascade must be true or false" });
     }
+    const newStatus = status.toLowerCase();
 
-    const result = await pool.query(
-      `UPDATE tickets SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
-      [newStatus, ticketId],
-    );
-
-    await logChange(ticketId, req.user.sub, "status", currentStatus, newStatus);
+    // Read, check and write under the row lock, so two staff members changing the status at
+    // the same time are serialized: the second one is checked against the first one's status
+    const outcome = await withTransaction(async (client) => {
+      const current = await lockTicket(client, ticketId, req.user);
+      if (!current) return { status: 404, body: { error: "ticket not found" } };
+      if (ifMatchFails(req, current)) return { ...STALE_TICKET, ticket: current };
+      // A merged ticket stays resolved; S2 sets merged_into when merging (POST /tickets/:id/merge)
+      if (current.merged_into) {
+        return { status: 409, body: { error: `ticket was merged into #${current.merged_into}` } };
+      }
+
+      const currentStatus = current.status.toLowerCase();
+      const transitionError = checkTransition(currentStatus, newStatus);
+      if (transitionError) return { status: 400, body: { error: transitionError } };
+
+      const result = await client.query(
+        `UPDATE tickets SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+        [newStatus, ticketId],
+      );
+      await logChange(client, ticketId, req.user.sub, "status", currentStatus, newStatus);
+
+      const updated = result.rows[0];
+      const children =
+        cascade && newStatus === "resolved" ? await resolveChildren(client, ticketId, req.user) : null;
+      return {
+        status: 200,
+        body: children ? { ...updated, resolved_children: children.map((child) => child.id) } : updated,
+        ticket: updated,
+        before: current,
+        children: children || [],
+      };
+    });
 
-    // --- CHANGE 2: Send Notification ---
-    if (currentStatus !== newStatus) {
+    // Notifications go out once the change is committed
+    if (outcome.before && outcome.before.status !== newStatus) {
+      const { user_id: ticketOwnerId, title: ticketTitle } = outcome.before;
       await sendNotification(
-        req.headers.authorization, // Pass auth token
         ticketOwnerId, // Notify the user who owns the ticket
         ticketId,
         `Your ticket '${ticketTitle}' status has been updated to '${newStatus}'`,
       );
+      await notifyWatchers(
+        ticketId,
+        "ticket_status_changed",
+        `Ticket #${ticketId} '${ticketTitle}' is now ${newStatus}`,
+        [req.user.sub, ticketOwnerId],
+      );
+    }
+    for (const child of outcome.children || []) {
+      await sendNotification(
+        child.user_id,
+        child.id,
+        `Your ticket '${child.title}' was resolved together with its parent ticket #${ticketId}`,
+      );
+      await notifyWatchers(
+        child.id,
+        "ticket_status_changed",
+        `Ticket #${child.id} '${child.title}' was resolved together with its parent ticket #${ticketId}`,
+        [req.user.sub, child.user_id],
+      );
     }
 
-    res.json(result.rows[0]);
+    sendOutcome(res, outcome);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
@@ -211,7 +363,7 @@ app.patch("/status/:id", authenticate, requireStaff, async (req, res) => {
 });
 
 // PATCH /assign/:id
-app.patch("/assign/:id", authenticate, requireStaff, async (req, res) => {
+app.patch("/assign/:id", authenticate, requireScope("workflow:write"), requireStaff, async (req, res) => {
   try {
     const ticketId = parseInt(req.params.id);
     const { assigned_to } = req.body;
@@ -219,57 +371,83 @@ app.patch("/assign/:id", authenticate, requireStaff, async (req, res) => {
     if (isNaN(ticketId))
       return res.status(400).json({ error: "invalid ticket id" });
 
-    // Fetch details for notification
-    const current = await pool.query(
-      "SELECT status, assigned_to, user_id, title FROM tickets WHERE id = $1",
-      [ticketId],
-    );
-
-    if (current.rows.length === 0)
-      return res.status(404).json({ error: "ticket not found" });
-
-    const oldAssignedTo = current.rows[0].assigned_to;
-    const currentStatus = current.rows[0].status.toLowerCase();
-    const ticketOwnerId = current.rows[0].user_id;
-    const ticketTitle = current.rows[0].title;
-
-    let newStatus = currentStatus;
-    if (currentStatus === "new" && assigned_to) {
-      newStatus = "assigned";
-    }
-
-    const result = await pool.query(
-      `UPDATE tickets SET assigned_to = $1, status = $2, updated_at = NOW() WHERE id = $3 RETURNING *`,
-      [assigned_to || null, newStatus, ticketId],
-    );
-
-    await logChange(
-      ticketId,
-      req.user.sub,
-      "assigned_to",
-      oldAssignedTo ? oldAssignedTo.toString() : null,
-      assigned_to ? assigned_to.toString() : null,
-    );
+    const outcome = await withTransaction(async (client) => {
+      const current = await lockTicket(client, ticketId, req.user);
+      if (!current) return { status: 404, body: { error: "ticket not found" } };
+      if (ifMatchFails(req, current)) return { ...STALE_TICKET, ticket: current };
+
+      // Assignees are staff of the ticket's organization, or staff with cross-org access
+      let assigneeName = null;
+      if (assigned_to) {
+        const assignee = await client.query(
+          "SELECT role, is_active, org_id, cross_org, display_name FROM users WHERE id = $1",
+          [assigned_to],
+        );
+        const account = assignee.rows[0];
+        const eligible =
+          account &&
+          account.is_active &&
+          (account.role === "staff" || account.role === "admin") &&
+          (account.cross_org || account.org_id === current.org_id);
+        if (!eligible) {
+          return {
+            status: 400,
+            body: { error: "assigned_to must be an active staff member of the ticket's organization" },
+          };
+        }
+        assigneeName = account.display_name || `user #${assigned_to}`;
+      }
+
+      const oldAssignedTo = current.assigned_to;
+      const currentStatus = current.status.toLowerCase();
+
+      let newStatus = currentStatus;
+      if (currentStatus === "new" && assigned_to) {
+        newStatus = "assigned";
+      }
+
+      const result = await client.query(
+        `UPDATE tickets SET assigned_to = $1, status = $2, updated_at = NOW() WHERE id = $3 RETURNING *`,
+        [assigned_to || null, newStatus, ticketId],
+      );
 
-    if (newStatus !== currentStatus) {
       await logChange(
+        client,
         ticketId,
         req.user.sub,
-        "status",
-        currentStatus,
-        newStatus,
+        "assigned_to",
+        oldAssignedTo ? oldAssignedTo.toString() : null,
+        assigned_to ? assigned_to.toString() : null,
       );
+      if (newStatus !== currentStatus) {
+        await logChange(client, ticketId, req.user.sub, "status", currentStatus, newStatus);
+      }
+      return { status: 200, body: result.rows[0], ticket: result.rows[0], before: current, assigneeName };
+    });
 
-      // Notify on implicit status change (e.g., New -> Assigned)
-      await sendNotification(
-        req.headers.authorization,
-        ticketOwnerId,
-        ticketId,
-        `Your ticket '${ticketTitle}' is now being processed (Assigned)`,
-      );
+    if (outcome.before) {
+      const { user_id: ticketOwnerId, title: ticketTitle } = outcome.before;
+      if (outcome.ticket.status !== outcome.before.status) {
+        // Notify on implicit status change (e.g., New -> Assigned)
+        await sendNotification(
+          ticketOwnerId,
+          ticketId,
+          `Your ticket '${ticketTitle}' is now being processed (Assigned)`,
+        );
+      }
+      if ((assigned_to || null) !== outcome.before.assigned_to) {
+        await notifyWatchers(
+          ticketId,
+          "ticket_assigned",
+          assigned_to
+            ? `Ticket #${ticketId} '${ticketTitle}' was assigned to ${outcome.assigneeName}`
+            : `Ticket #${ticketId} '${ticketTitle}' was unassigned`,
+          [req.user.sub],
+        );
+      }
     }
 
-    res.json(result.rows[0]);
+    sendOutcome(res, outcome);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
@@ -277,21 +455,29 @@ app.patch("/assign/:id", authenticate, requireStaff, async (req, res) => {
 });
 
 // GET /history/:id
-app.get("/history/:id", authenticate, async (req, res) => {
+app.get("/history/:id", authenticate, requireScope("workflow:read"), async (req, res) => {
   try {
     const ticketId = parseInt(req.params.id);
     if (isNaN(ticketId))
       return res.status(400).json({ error: "invalid ticket id" });
 
+    // Archived tickets (S2's tickets_archive) keep their timeline; deleted ones only for staff
     let accessCheck;
     if (req.user.role === "staff" || req.user.role === "admin") {
-      accessCheck = await pool.query("SELECT id FROM tickets WHERE id = $1", [
-        ticketId,
-      ]);
+      accessCheck = await pool.query(
+        `SELECT id FROM tickets WHERE id = $1 AND ($2::int IS NULL OR org_id = $2)
+         UNION ALL
+         SELECT id FROM tickets_archive WHERE id = $1 AND ($2::int IS NULL OR org_id = $2)`,
+        [ticketId, orgScope(req.user)],
+      );
     } else {
       accessCheck = await pool.query(
-        "SELECT id FROM tickets WHERE id = $1 AND user_id = $2",
-        [ticketId, req.user.sub],
+        `SELECT id FROM tickets WHERE id = $1 AND user_id = $2 AND ($3::int IS NULL OR org_id = $3)
+         UNION ALL
+         SELECT id FROM tickets_archive
+         WHERE id = $1 AND user_id = $2 AND ($3::int IS NULL OR org_id = $3)
+           AND deleted_at IS NULL`,
+        [ticketId, req.user.sub, orgScope(req.user)],
       );
     }
 
@@ -310,16 +496,39 @@ app.get("/history/:id", authenticate, async (req, res) => {
   }
 });
 
-// GET /queue
-app.get("/queue", authenticate, requireStaff, async (req, res) => {
+// GET /queue - Open tickets by priority; ?label=a,b keeps tickets carrying any of the labels
+// (labels and ticket_labels are S2's tables)
+app.get("/queue", authenticate, requireScope("workflow:read"), requireStaff, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT id, user_id, title, description, category, status, priority, assigned_to, created_at
-      FROM tickets WHERE status != 'resolved'
+    const labels =
+      req.query.label === undefined
+        ? null
+        : String(req.query.label)
+            .split(",")
+            .map((name) => name.trim().toLowerCase())
+            .filter(Boolean);
+    if (labels && labels.length === 0) {
+      return res.status(400).json({ error: "label must be one or more label names" });
+    }
+
+    const result = await pool.query(
+      `
+      SELECT id, user_id, org_id, title, description, category, status, priority, assigned_to, created_at,
+        ARRAY(
+          SELECT l.name FROM ticket_labels tl JOIN labels l ON l.id = tl.label_id
+          WHERE tl.ticket_id = tickets.id ORDER BY lower(l.name)
+        ) AS labels
+      FROM tickets WHERE status != 'resolved' AND ($1::int IS NULL OR org_id = $1)
+        AND ($2::text[] IS NULL OR EXISTS (
+          SELECT 1 FROM ticket_labels tl JOIN labels l ON l.id = tl.label_id
+          WHERE tl.ticket_id = tickets.id AND lower(l.name) = ANY($2)
+        ))
       ORDER BY
         CASE priority WHEN 'urgent' THEN 1 WHEN 'high' THEN 2 WHEN 'medium' THEN 3 WHEN 'low' THEN 4 END,
         created_at ASC
-    `);
+    `,
+      [orgScope(req.user), labels],
+    );
     res.json({ queue: result.rows });
   } catch (err) {
     console.error(err);
@@ -327,27 +536,93 @@ app.get("/queue", authenticate, requireStaff, async (req, res) => {
   }
 });
 
-// POST /auto-priority/:id
-app.post("/auto-priority/:id", authenticate, async (req, res) => {
+// GET /queue/duplicates - Likely duplicates among the open tickets: pairs of tickets of one
+// organization whose title and description are similar (pg_trgm, set up by S2), most similar
+// first. Pairs already linked in S2 are left out; staff link the newer ticket as a duplicate
+// of the older one or merge it. ?limit= (default 50, max 100)
+app.get("/queue/duplicates", authenticate, requireScope("workflow:read"), requireStaff, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "limit must be between 1 and 100" });
+    }
+
+    // The text expression matches S2's trigram index, so the join can use it
+    const result = await pool.query(
+      `
+      SELECT
+        b.id, b.user_id, b.title, b.status, b.priority, b.created_at,
+        a.id AS original_id, a.user_id AS original_user_id, a.title AS original_title,
+        a.status AS original_status, a.priority AS original_priority, a.created_at AS original_created_at,
+        round(similarity(a.title || ' ' || a.description, b.title || ' ' || b.description)::numeric, 2)::float
+          AS similarity
+      FROM tickets a
+      JOIN tickets b ON b.org_id = a.org_id AND b.id > a.id
+        AND (b.title || ' ' || b.description) % (a.title || ' ' || a.description)
+      WHERE a.status != 'resolved' AND b.status != 'resolved' AND ($1::int IS NULL OR a.org_id = $1)
+        AND NOT EXISTS (
+          SELECT 1 FROM ticket_links l
+          WHERE (l.source_id = b.id AND l.target_id = a.id) OR (l.source_id = a.id AND l.target_id = b.id)
+        )
+      ORDER BY similarity DESC, b.id DESC
+      LIMIT $2
+    `,
+      [orgScope(req.user), limit],
+    );
+    const pick = (row, prefix) => ({
+      id: row[`${prefix}id`],
+      user_id: row[`${prefix}user_id`],
+      title: row[`${prefix}title`],
+      status: row[`${prefix}status`],
+      priority: row[`${prefix}priority`],
+      created_at: row[`${prefix}created_at`],
+    });
+    res.json({
+      duplicates: result.rows.map((row) => ({
+        ticket: pick(row, ""),
+        original: pick(row, "original_"),
+        similarity: row.similarity,
+      })),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
+// POST /auto-priority/:id - Set the default priority of the category (body, or the
+// ticket's own); categories and their defaults are managed in S2 (ticket_categories)
+app.post("/auto-priority/:id", authenticate, requireScope("workflow:write"), requireStaff, async (req, res) => {
   try {
     const ticketId = parseInt(req.params.id);
     const { category } = req.body;
     if (isNaN(ticketId))
       return res.status(400).json({ error: "invalid ticket id" });
 
-    const CATEGORY_PRIORITY_MAP = {
-      bug: "high",
-      feature: "medium",
-      support: "medium",
-      other: "low",
-    };
-    const priority = CATEGORY_PRIORITY_MAP[category] || "medium";
-
-    await pool.query(
-      `UPDATE tickets SET priority = $1, updated_at = NOW() WHERE id = $2`,
-      [priority, ticketId],
-    );
-    res.json({ ticketId, priority });
+    const outcome = await withTransaction(async (client) => {
+      const current = await lockTicket(client, ticketId, req.user);
+      if (!current) return { status: 404, body: { error: "ticket not found" } };
+      if (ifMatchFails(req, current)) return { ...STALE_TICKET, ticket: current };
+
+      const result = await client.query(
+        `UPDATE tickets t
+         SET priority = COALESCE(
+               (SELECT default_priority FROM ticket_categories
+                WHERE name = COALESCE($1, t.category)),
+               'medium'
+             ),
+             updated_at = NOW()
+         WHERE t.id = $2
+         RETURNING *`,
+        [category || null, ticketId],
+      );
+      const updated = result.rows[0];
+      if (updated.priority !== current.priority) {
+        await logChange(client, ticketId, req.user.sub, "priority", current.priority, updated.priority);
+      }
+      return { status: 200, body: { ticketId, priority: updated.priority }, ticket: updated };
+    });
+    sendOutcome(res, outcome);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
@@ -1,5 +1,5 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const { createAuthenticate, requireScope, orgScope } = require("./auth-helper");
 const { Pool } = require("pg");
 const multer = require("multer");
 const path = require("path");
@@ -12,8 +12,6 @@ const pool = new Pool({
   connectionString: process.env.DB_URL,
 });
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
-
 // File upload configuration
 const UPLOAD_DIR = process.env.UPLOAD_DIR || "/app/uploads";
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
@@ -55,6 +53,8 @@ const upload = multer({
     fileSize: MAX_FILE_SIZE,
   },
   fileFilter: (req, file, cb) => {
+    // Multer reads the file name as latin1; clients (and S2's inbound emails) send UTF-8
+    file.originalname = Buffer.from(file.originalname, "latin1").toString("utf8");
     if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
@@ -67,22 +67,8 @@ const upload = multer({
   },
 });
 
-// Middleware to verify JWT and extract user info
-function authenticate(req, res, next) {
-  try {
-    const auth = req.headers.authorization || "";
-    const [, token] = auth.split(" ");
-    if (!token) {
-      return res.status(401).json({ error: "missing token" });
-    }
-
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload; // { sub: userId, role, email }
-    next();
-  } catch (err) {
-    return res.status(401).json({ error: "invalid token" });
-  }
-}
+// Middleware to verify JWT and extract user info (see auth-helper.js)
+const authenticate = createAuthenticate(pool);
 
 // Initialize media_files table on startup
 async function init() {
@@ -108,16 +94,50 @@ async function init() {
       // Index might already exist, ignore error
     });
 
+  // Users CC'd on a ticket see its files; watchers are managed by S2 (same schema)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_watchers (
+      ticket_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      added_by INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (ticket_id, user_id)
+    );
+  `);
+
   console.log("Media files table ready");
 }
 
+// Live tickets and those S2 archived (tickets_archive), which stay readable unless deleted
+const READABLE_TICKETS = `(
+  SELECT id, org_id, user_id FROM tickets
+  UNION ALL
+  SELECT id, org_id, user_id FROM tickets_archive WHERE deleted_at IS NULL
+)`;
+
+// Whether the user may see the ticket, as in S2: staff and service accounts any ticket of
+// their organization, users their own and those they are CC'd on. Archived tickets are
+// read-only, so they only count with `includeArchived`.
+async function canSeeTicket(ticketId, user, includeArchived = false) {
+  const seesAll = ["staff", "admin", "service"].includes(user.role);
+  const result = await pool.query(
+    `SELECT 1 FROM ${includeArchived ? READABLE_TICKETS : "tickets"} t
+     WHERE t.id = $1 AND ($2::int IS NULL OR t.org_id = $2)
+       AND ($3 OR t.user_id = $4 OR EXISTS (
+         SELECT 1 FROM ticket_watchers w WHERE w.ticket_id = t.id AND w.user_id = $4
+       ))`,
+    [ticketId, orgScope(user), seesAll, user.sub],
+  );
+  return result.rows.length > 0;
+}
+
 // Health check endpoint (MUST come before /:id)
 app.get("/health", (req, res) => {
   res.json({ status: "ok", service: "s5-media" });
 });
 
 // POST /upload - Upload a file for a ticket
-app.post("/upload", authenticate, upload.single("file"), async (req, res) => {
+app.post("/upload", authenticate, requireScope("media:write"), upload.single("file"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "no file uploaded" });
@@ -137,6 +157,12 @@ app.post("/upload", authenticate, upload.single("file"), async (req, res) => {
       return res.status(400).json({ error: "invalid ticket_id" });
     }
 
+    // The caller must be able to see the ticket
+    if (!(await canSeeTicket(ticketId, req.user))) {
+      fs.unlinkSync(req.file.path);
+      return res.status(404).json({ error: "ticket not found" });
+    }
+
     // Store file metadata in database
     const result = await pool.query(
       `INSERT INTO media_files (ticket_id, filename, original_filename, mime_type, file_size, uploaded_by)
@@ -164,7 +190,7 @@ app.post("/upload", authenticate, upload.single("file"), async (req, res) => {
 });
 
 // GET /ticket/:ticketId - List all files for a ticket
-app.get("/ticket/:ticketId", authenticate, async (req, res) => {
+app.get("/ticket/:ticketId", authenticate, requireScope("media:read"), async (req, res) => {
   try {
     const ticketId = parseInt(req.params.ticketId);
 
@@ -172,6 +198,10 @@ app.get("/ticket/:ticketId", authenticate, async (req, res) => {
       return res.status(400).json({ error: "invalid ticket id" });
     }
 
+    if (!(await canSeeTicket(ticketId, req.user, true))) {
+      return res.status(404).json({ error: "ticket not found" });
+    }
+
     const result = await pool.query(
       `SELECT id, ticket_id, original_filename, mime_type, file_size, uploaded_by, uploaded_at
        FROM media_files
@@ -188,7 +218,7 @@ app.get("/ticket/:ticketId", authenticate, async (req, res) => {
 });
 
 // GET /:id - Download a file
-app.get("/:id", authenticate, async (req, res) => {
+app.get("/:id", authenticate, requireScope("media:read"), async (req, res) => {
   try {
     const fileId = parseInt(req.params.id);
 
@@ -198,12 +228,14 @@ app.get("/:id", authenticate, async (req, res) => {
 
     const result = await pool.query(
       `SELECT id, ticket_id, filename, original_filename, mime_type
-       FROM media_files
-       WHERE id = $1`,
+       FROM media_files WHERE id = $1`,
       [fileId],
     );
 
-    if (result.rows.length === 0) {
+    if (
+      result.rows.length === 0 ||
+      !(await canSeeTicket(result.rows[0].ticket_id, req.user, true))
+    ) {
       return res.status(404).json({ error: "file not found" });
     }
 
@@ -230,8 +262,40 @@ app.get("/:id", authenticate, async (req, res) => {
   }
 });
 
+// DELETE /ticket/:ticketId - Delete all files of a ticket, from the database and the disk.
+// For S2, which purges archived tickets (no longer in the tickets table): service accounts only.
+app.delete("/ticket/:ticketId", authenticate, requireScope("media:write"), async (req, res) => {
+  try {
+    const ticketId = parseInt(req.params.ticketId);
+
+    if (isNaN(ticketId)) {
+      return res.status(400).json({ error: "invalid ticket id" });
+    }
+    if (req.user.role !== "service") {
+      return res.status(403).json({ error: "requires a service account" });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM media_files WHERE ticket_id = $1 RETURNING filename`,
+      [ticketId],
+    );
+
+    for (const { filename } of result.rows) {
+      const filePath = path.join(UPLOAD_DIR, filename);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+
+    res.json({ message: "files deleted successfully", deleted: result.rows.length });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "internal error" });
+  }
+});
+
 // DELETE /:id - Delete a file (staff only or file owner)
-app.delete("/:id", authenticate, async (req, res) => {
+app.delete("/:id", authenticate, requireScope("media:write"), async (req, res) => {
   try {
     const fileId = parseInt(req.params.id);
 
@@ -243,13 +307,14 @@ app.delete("/:id", authenticate, async (req, res) => {
 
     // Get file info
     const fileResult = await pool.query(
-      `SELECT id, filename, uploaded_by
-       FROM media_files
-       WHERE id = $1`,
+      `SELECT id, ticket_id, filename, uploaded_by FROM media_files WHERE id = $1`,
       [fileId],
     );
 
-    if (fileResult.rows.length === 0) {
+    if (
+      fileResult.rows.length === 0 ||
+      !(await canSeeTicket(fileResult.rows[0].ticket_id, req.user))
+    ) {
       return res.status(404).json({ error: "file not found" });
     }
 
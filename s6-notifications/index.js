@@ -1,5 +1,5 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const { createAuthenticate, requireScope, orgScope } = require("./auth-helper");
 const { Pool } = require("pg");
 
 const app = express();
@@ -9,8 +9,6 @@ const pool = new Pool({
   connectionString: process.env.DB_URL,
 });
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
-
 // In-memory notification queue
 const notificationQueue = [];
 const MAX_RETRIES = 3;
@@ -22,7 +20,11 @@ const NOTIFICATION_TYPES = {
   TICKET_ASSIGNED: "ticket_assigned",
   TICKET_STATUS_CHANGED: "ticket_status_changed",
   TICKET_CLOSED: "ticket_closed",
+  TICKET_COMMENTED: "ticket_commented",
+  TICKET_UPDATED: "ticket_updated",
   TEST_ALERT: "test_alert",
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFICATION: "email_verification",
 };
 
 // Notification channels
@@ -32,22 +34,15 @@ const CHANNELS = {
   IN_APP: "in_app",
 };
 
-// Middleware to verify JWT and extract user info
-function authenticate(req, res, next) {
-  try {
-    const auth = req.headers.authorization || "";
-    const [, token] = auth.split(" ");
-    if (!token) {
-      return res.status(401).json({ error: "missing token" });
-    }
+// Recipients' email addresses and phone numbers come from the S1 user directory
+const AUTH_SERVICE_URL =
+  process.env.AUTH_SERVICE_URL || "http://s1-auth-account:3001";
 
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload; // { sub: userId, role, email }
-    next();
-  } catch (err) {
-    return res.status(401).json({ error: "invalid token" });
-  }
-}
+// API key of this service's service account (scope users:read), issued by s1-auth
+const SERVICE_API_KEY = process.env.SERVICE_API_KEY;
+
+// Middleware to verify JWT and extract user info (see auth-helper.js)
+const authenticate = createAuthenticate(pool);
 
 // Initialize notifications table on startup
 async function init() {
@@ -66,6 +61,19 @@ async function init() {
     );
   `);
 
+  // Organization of the recipient, for per-organization queue stats
+  await pool.query(`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS org_id INTEGER;`);
+  await pool
+    .query(
+      `UPDATE notifications n SET org_id = u.org_id
+       FROM users u
+       WHERE n.org_id IS NULL AND u.id = n.user_id`,
+    )
+    .catch((err) => {
+      // users.org_id is added by s1-auth; retried on the next start
+      console.error("Could not backfill notification organizations:", err.message);
+    });
+
   // Create index on user_id for faster lookups
   await pool
     .query(
@@ -111,24 +119,56 @@ async function sendSMS(to, message) {
   });
 }
 
+// Look up a recipient's directory entry (display_name, email, phone, ...)
+async function lookupRecipient(userId) {
+  if (!SERVICE_API_KEY) {
+    throw new Error("SERVICE_API_KEY not set, cannot look up recipient");
+  }
+  const response = await fetch(`${AUTH_SERVICE_URL}/users/${userId}`, {
+    headers: { Authorization: `Bearer ${SERVICE_API_KEY}` },
+    signal: AbortSignal.timeout(5000),
+  });
+  if (!response.ok) {
+    throw new Error(`User directory lookup failed: ${response.status}`);
+  }
+  return response.json();
+}
+
+// "Jane Doe <jane@example.com>", or just the address without a display name
+function formatAddress(email, displayName) {
+  return displayName ? `${displayName} <${email}>` : email;
+}
+
 // Process a notification based on channel
 async function processNotification(notification) {
-  const { channel, message, user_email, user_id, type, ticket_id } =
+  const { channel, message, subject, user_email, user_id, type, ticket_id } =
     notification;
 
   try {
     switch (channel) {
-      case CHANNELS.EMAIL:
-        await sendEmail(
-          user_email || `user${user_id}@example.com`,
-          `Ticket Notification: ${type}`,
-          message,
-        );
+      case CHANNELS.EMAIL: {
+        // Account emails (reset, verification) name the address explicitly
+        let to = user_email;
+        if (!to) {
+          const recipient = await lookupRecipient(user_id);
+          to = formatAddress(recipient.email, recipient.display_name);
+        }
+        // The [#id] tag lets replies find their ticket (S2's POST /inbound-email)
+        const defaultSubject = ticket_id
+          ? `[#${ticket_id}] Ticket Notification: ${type}`
+          : `Ticket Notification: ${type}`;
+        await sendEmail(to, subject || defaultSubject, message);
         break;
+      }
 
-      case CHANNELS.SMS:
-        await sendSMS(`+1-555-${user_id}`, message);
+      case CHANNELS.SMS: {
+        const recipient = await lookupRecipient(user_id);
+        if (!recipient.phone) {
+          throw new Error(`User ${user_id} has no phone number`);
+        }
+        await sendSMS(recipient.phone, message);
         break;
+      }
 
       case CHANNELS.IN_APP:
         // In-app notifications just get stored in database
@@ -213,9 +253,10 @@ app.get("/health", (req, res) => {
 });
 
 // POST /notify - Send a notification
-app.post("/notify", authenticate, async (req, res) => {
+app.post("/notify", authenticate, requireScope("notifications:write"), async (req, res) => {
   try {
-    const { user_id, ticket_id, type, channel, message, user_email } = req.body;
+    const { user_id, ticket_id, type, channel, message, subject, user_email } =
+      req.body;
 
     // Validate required fields
     if (!user_id || !type || !channel || !message) {
@@ -238,12 +279,35 @@ app.post("/notify", authenticate, async (req, res) => {
       });
     }
 
+    // Recipients (and tickets) must be in the caller's organization
+    const recipient = await pool.query(
+      "SELECT org_id FROM users WHERE id = $1 AND ($2::int IS NULL OR org_id = $2)",
+      [user_id, orgScope(req.user)],
+    );
+    if (recipient.rows.length === 0) {
+      return res.status(404).json({ error: "user not found" });
+    }
+    const orgId = recipient.rows[0].org_id;
+
+    if (ticket_id) {
+      // Archived tickets (moved to tickets_archive by S2) still get notifications
+      const ticket = await pool.query(
+        `SELECT id FROM tickets WHERE id = $1 AND org_id = $2
+         UNION ALL
+         SELECT id FROM tickets_archive WHERE id = $1 AND org_id = $2 AND deleted_at IS NULL`,
+        [ticket_id, orgId],
+      );
+      if (ticket.rows.length === 0) {
+        return res.status(404).json({ error: "ticket not found" });
+      }
+    }
+
     // Store notification in database
     const result = await pool.query(
-      `INSERT INTO notifications (user_id, ticket_id, type, channel, message, status)
-       VALUES ($1, $2, $3, $4, $5, 'pending')
+      `INSERT INTO notifications (user_id, org_id, ticket_id, type, channel, message, status)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending')
        RETURNING id, user_id, ticket_id, type, channel, message, status, retry_count, created_at`,
-      [user_id, ticket_id || null, type, channel, message],
+      [user_id, orgId, ticket_id || null, type, channel, message],
     );
 
     const notification = result.rows[0];
@@ -252,10 +316,12 @@ app.post("/notify", authenticate, async (req, res) => {
     notificationQueue.push({
       db_id: notification.id,
       user_id: notification.user_id,
+      org_id: orgId,
       ticket_id: notification.ticket_id,
       type: notification.type,
       channel: notification.channel,
       message: notification.message,
+      subject: subject,
       user_email: user_email,
       retry_count: 0,
     });
@@ -272,7 +338,7 @@ app.post("/notify", authenticate, async (req, res) => {
 });
 
 // GET /history/:userId - Get notification history for a user
-app.get("/history/:userId", authenticate, async (req, res) => {
+app.get("/history/:userId", authenticate, requireScope("notifications:read"), async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
 
@@ -280,7 +346,7 @@ app.get("/history/:userId", authenticate, async (req, res) => {
       return res.status(400).json({ error: "invalid user id" });
     }
 
-    // Staff can view any user's history, regular users only their own
+    // Staff can view the history of users in their organization, regular users only their own
     const isStaff = req.user.role === "staff" || req.user.role === "admin";
 
     if (!isStaff && req.user.sub !== userId) {
@@ -290,10 +356,10 @@ app.get("/history/:userId", authenticate, async (req, res) => {
     const result = await pool.query(
       `SELECT id, user_id, ticket_id, type, channel, status, message, retry_count, created_at, sent_at
        FROM notifications
-       WHERE user_id = $1
+       WHERE user_id = $1 AND ($2::int IS NULL OR org_id = $2)
        ORDER BY created_at DESC
        LIMIT 100`,
-      [userId],
+      [userId, orgScope(req.user)],
     );
 
     res.json({ notifications: result.rows });
@@ -304,7 +370,7 @@ app.get("/history/:userId", authenticate, async (req, res) => {
 });
 
 // GET /queue - Get current queue status (staff only)
-app.get("/queue", authenticate, async (req, res) => {
+app.get("/queue", authenticate, requireScope("notifications:read"), async (req, res) => {
   try {
     const isStaff = req.user.role === "staff" || req.user.role === "admin";
 
@@ -312,16 +378,22 @@ app.get("/queue", authenticate, async (req, res) => {
       return res.status(403).json({ error: "permission denied" });
     }
 
+    const orgId = orgScope(req.user);
+
     // Get pending notifications
     const result = await pool.query(
       `SELECT status, COUNT(*) as count
        FROM notifications
+       WHERE ($1::int IS NULL OR org_id = $1)
        GROUP BY status
        ORDER BY status`,
+      [orgId],
     );
 
     res.json({
-      queue_length: notificationQueue.length,
+      queue_length: notificationQueue.filter(
+        (item) => orgId === null || item.org_id === orgId,
+      ).length,
       stats: result.rows,
     });
   } catch (err) {
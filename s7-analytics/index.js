@@ -1,5 +1,5 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const { createAuthenticate, requireScope, orgScope } = require("./auth-helper");
 const { Pool } = require("pg");
 
 const app = express();
@@ -9,35 +9,34 @@ const pool = new Pool({
   connectionString: process.env.DB_URL,
 });
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
-
 // Cache configuration
 const CACHE_REFRESH_INTERVAL_MS = 60000; // 1 minute
-let metricsCache = null;
+// Metrics per organization: key is the org id, or "all" for cross-org staff
+const metricsCache = new Map();
 let lastCacheUpdate = null;
 
-// Middleware to verify JWT and extract user info
-function authenticate(req, res, next) {
+// Middleware to verify JWT and extract user info (see auth-helper.js)
+const authenticate = createAuthenticate(pool);
+
+// Middleware to check staff role against the users table, so demoted or
+// deactivated accounts lose access even while their token is still valid
+async function requireStaff(req, res, next) {
   try {
-    const auth = req.headers.authorization || "";
-    const [, token] = auth.split(" ");
-    if (!token) {
-      return res.status(401).json({ error: "missing token" });
+    const result = await pool.query(
+      "SELECT role, is_active FROM users WHERE id = $1",
+      [req.user.sub],
+    );
+    const account = result.rows[0];
+    if (!account || !account.is_active) {
+      return res.status(403).json({ error: "account deactivated" });
+    }
+    // Service accounts act for other services; their API key scopes are the limit
+    if (!["staff", "admin", "service"].includes(account.role)) {
+      return res.status(403).json({ error: "staff access required" });
     }
-
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload; // { sub: userId, role, email }
-    next();
   } catch (err) {
-    return res.status(401).json({ error: "invalid token" });
-  }
-}
-
-// Middleware to check if user is staff/admin
-function requireStaff(req, res, next) {
-  const isStaff = req.user.role === "staff" || req.user.role === "admin";
-  if (!isStaff) {
-    return res.status(403).json({ error: "staff access required" });
+    console.error(err);
+    return res.status(500).json({ error: "internal error" });
   }
   next();
 }
@@ -46,54 +45,113 @@ function requireStaff(req, res, next) {
 async function init() {
   console.log("Analytics service initialized");
   // Perform initial cache load
-  await refreshMetricsCache();
+  await refreshMetricsCache(null);
+}
+
+// The tickets metrics count, as a FROM item named `alias`: the live ones and those S2 has
+// archived, but not the ones it deleted (only the live ones until S2 creates its archive)
+async function ticketsSource(alias) {
+  const archive = await pool.query(`SELECT to_regclass('tickets_archive') IS NOT NULL AS ready`);
+  if (!archive.rows[0].ready) return `tickets ${alias}`;
+  return `(
+      SELECT id, user_id, org_id, category, status, priority, created_at FROM tickets
+      UNION ALL
+      SELECT id, user_id, org_id, category, status, priority, created_at FROM tickets_archive
+      WHERE deleted_at IS NULL
+    ) ${alias}`;
+}
+
+function cacheKey(orgId) {
+  return orgId === null ? "all" : String(orgId);
 }
 
-// Aggregate ticket statistics from database
-async function aggregateTicketMetrics() {
+// Aggregate ticket statistics from database (orgId null = all organizations)
+async function aggregateTicketMetrics(orgId) {
   try {
+    const tickets = await ticketsSource("tickets");
+
     // Total tickets
-    const totalResult = await pool.query(`SELECT COUNT(*) as total FROM tickets`);
+    const totalResult = await pool.query(
+      `SELECT COUNT(*) as total FROM ${tickets} WHERE ($1::int IS NULL OR org_id = $1)`,
+      [orgId],
+    );
     const total = parseInt(totalResult.rows[0].total);
 
     // Tickets by status
-    const statusResult = await pool.query(`
+    const statusResult = await pool.query(
+      `
       SELECT status, COUNT(*) as count
-      FROM tickets
+      FROM ${tickets}
+      WHERE ($1::int IS NULL OR org_id = $1)
       GROUP BY status
       ORDER BY count DESC
-    `);
+    `,
+      [orgId],
+    );
 
     // Tickets by category
-    const categoryResult = await pool.query(`
+    const categoryResult = await pool.query(
+      `
       SELECT category, COUNT(*) as count
-      FROM tickets
+      FROM ${tickets}
+      WHERE ($1::int IS NULL OR org_id = $1)
       GROUP BY category
       ORDER BY count DESC
-    `);
+    `,
+      [orgId],
+    );
 
     // Tickets by priority
-    const priorityResult = await pool.query(`
+    const priorityResult = await pool.query(
+      `
       SELECT priority, COUNT(*) as count
-      FROM tickets
+      FROM ${tickets}
+      WHERE ($1::int IS NULL OR org_id = $1)
       GROUP BY priority
       ORDER BY count DESC
-    `);
+    `,
+      [orgId],
+    );
+
+    // Tickets by label (S2's labels; a ticket counts once for each of its labels)
+    const labelTables = await pool.query(
+      `SELECT to_regclass('labels') IS NOT NULL AND to_regclass('ticket_labels') IS NOT NULL AS ready`,
+    );
+    const labelResult = labelTables.rows[0].ready
+      ? await pool.query(
+          `
+      SELECT l.name AS label, COUNT(t.id) AS count,
+        COUNT(CASE WHEN t.status != 'resolved' THEN 1 END) AS open_count
+      FROM labels l
+      JOIN ticket_labels tl ON tl.label_id = l.id
+      JOIN ${await ticketsSource("t")} ON t.id = tl.ticket_id
+      WHERE ($1::int IS NULL OR t.org_id = $1)
+      GROUP BY l.name
+      ORDER BY count DESC, l.name
+    `,
+          [orgId],
+        )
+      : { rows: [] };
 
     // Recent ticket creation trend (last 7 days)
-    const trendResult = await pool.query(`
+    const trendResult = await pool.query(
+      `
       SELECT DATE(created_at) as date, COUNT(*) as count
-      FROM tickets
+      FROM ${tickets}
       WHERE created_at >= NOW() - INTERVAL '7 days'
+        AND ($1::int IS NULL OR org_id = $1)
       GROUP BY DATE(created_at)
       ORDER BY date DESC
-    `);
+    `,
+      [orgId],
+    );
 
     return {
       total,
       by_status: statusResult.rows,
       by_category: categoryResult.rows,
       by_priority: priorityResult.rows,
+      by_label: labelResult.rows,
       recent_trend: trendResult.rows,
     };
   } catch (err) {
@@ -102,8 +160,8 @@ async function aggregateTicketMetrics() {
   }
 }
 
-// Aggregate feedback statistics from database
-async function aggregateFeedbackMetrics() {
+// Aggregate feedback statistics from database (scoped through the feedback's ticket)
+async function aggregateFeedbackMetrics(orgId) {
   try {
     // Check if feedback table exists
     const tableCheck = await pool.query(`
@@ -122,23 +180,39 @@ async function aggregateFeedbackMetrics() {
       };
     }
 
+    const tickets = await ticketsSource("t");
+
     // Total feedback entries
-    const totalResult = await pool.query(`SELECT COUNT(*) as total FROM feedback`);
+    const totalResult = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM feedback f JOIN ${tickets} ON t.id = f.ticket_id
+       WHERE ($1::int IS NULL OR t.org_id = $1)`,
+      [orgId],
+    );
     const total = parseInt(totalResult.rows[0].total);
 
     // Average rating
-    const avgResult = await pool.query(`SELECT AVG(rating) as avg_rating FROM feedback`);
+    const avgResult = await pool.query(
+      `SELECT AVG(f.rating) as avg_rating
+       FROM feedback f JOIN ${tickets} ON t.id = f.ticket_id
+       WHERE ($1::int IS NULL OR t.org_id = $1)`,
+      [orgId],
+    );
     const averageRating = avgResult.rows[0].avg_rating
       ? parseFloat(avgResult.rows[0].avg_rating).toFixed(2)
       : 0;
 
     // Feedback by rating
-    const ratingResult = await pool.query(`
-      SELECT rating, COUNT(*) as count
-      FROM feedback
-      GROUP BY rating
-      ORDER BY rating DESC
-    `);
+    const ratingResult = await pool.query(
+      `
+      SELECT f.rating, COUNT(*) as count
+      FROM feedback f JOIN ${tickets} ON t.id = f.ticket_id
+      WHERE ($1::int IS NULL OR t.org_id = $1)
+      GROUP BY f.rating
+      ORDER BY f.rating DESC
+    `,
+      [orgId],
+    );
 
     return {
       total,
@@ -155,19 +229,19 @@ async function aggregateFeedbackMetrics() {
   }
 }
 
-// Refresh the metrics cache
-async function refreshMetricsCache() {
-  console.log("[Cache] Refreshing metrics cache...");
+// Refresh the metrics cache of one organization scope
+async function refreshMetricsCache(orgId) {
+  console.log(`[Cache] Refreshing metrics cache (${cacheKey(orgId)})...`);
 
-  const ticketMetrics = await aggregateTicketMetrics();
-  const feedbackMetrics = await aggregateFeedbackMetrics();
+  const ticketMetrics = await aggregateTicketMetrics(orgId);
+  const feedbackMetrics = await aggregateFeedbackMetrics(orgId);
 
   if (ticketMetrics) {
-    metricsCache = {
+    metricsCache.set(cacheKey(orgId), {
       tickets: ticketMetrics,
       feedback: feedbackMetrics,
       cached_at: new Date().toISOString(),
-    };
+    });
     lastCacheUpdate = Date.now();
     console.log("[Cache] Metrics cache refreshed successfully");
   } else {
@@ -175,9 +249,24 @@ async function refreshMetricsCache() {
   }
 }
 
+// Refresh every organization scope that has been requested so far
+async function refreshAllMetricsCaches() {
+  for (const key of metricsCache.keys()) {
+    await refreshMetricsCache(key === "all" ? null : parseInt(key));
+  }
+}
+
+// Cached metrics for an organization scope, computed on first use
+async function getMetrics(orgId) {
+  if (!metricsCache.has(cacheKey(orgId))) {
+    await refreshMetricsCache(orgId);
+  }
+  return metricsCache.get(cacheKey(orgId));
+}
+
 // Periodic cache refresh
 setInterval(() => {
-  refreshMetricsCache();
+  refreshAllMetricsCaches();
 }, CACHE_REFRESH_INTERVAL_MS);
 
 // Health check endpoint (MUST come before /:id)
@@ -192,14 +281,9 @@ app.get("/health", (req, res) => {
 });
 
 // GET /metrics - Get aggregated metrics (staff only)
-app.get("/metrics", authenticate, requireStaff, async (req, res) => {
+app.get("/metrics", authenticate, requireScope("analytics:read"), requireStaff, async (req, res) => {
   try {
-    if (!metricsCache) {
-      // Cache not ready yet, generate on-demand
-      await refreshMetricsCache();
-    }
-
-    res.json(metricsCache);
+    res.json(await getMetrics(orgScope(req.user)));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "internal error" });
@@ -207,28 +291,35 @@ app.get("/metrics", authenticate, requireStaff, async (req, res) => {
 });
 
 // GET /dashboard - Get comprehensive dashboard data (staff only)
-app.get("/dashboard", authenticate, requireStaff, async (req, res) => {
+app.get("/dashboard", authenticate, requireScope("analytics:read"), requireStaff, async (req, res) => {
   try {
-    if (!metricsCache) {
-      await refreshMetricsCache();
-    }
+    const orgId = orgScope(req.user);
+    const metrics = await getMetrics(orgId);
 
     // Additional real-time queries for dashboard
-    const activeUsersResult = await pool.query(`
+    const activeUsersResult = await pool.query(
+      `
       SELECT COUNT(DISTINCT user_id) as active_users
       FROM tickets
       WHERE created_at >= NOW() - INTERVAL '30 days'
-    `);
-
-    const recentTicketsResult = await pool.query(`
-      SELECT id, title, status, priority, created_at
+        AND ($1::int IS NULL OR org_id = $1)
+    `,
+      [orgId],
+    );
+
+    const recentTicketsResult = await pool.query(
+      `
+      SELECT id, org_id, title, status, priority, created_at
       FROM tickets
+      WHERE ($1::int IS NULL OR org_id = $1)
       ORDER BY created_at DESC
       LIMIT 10
-    `);
+    `,
+      [orgId],
+    );
 
     res.json({
-      metrics: metricsCache,
+      metrics,
       active_users: parseInt(activeUsersResult.rows[0].active_users),
       recent_tickets: recentTicketsResult.rows,
       dashboard_generated_at: new Date().toISOString(),
@@ -240,13 +331,20 @@ app.get("/dashboard", authenticate, requireStaff, async (req, res) => {
 });
 
 // POST /refresh - Manually trigger cache refresh (staff only)
-app.post("/refresh", authenticate, requireStaff, async (req, res) => {
+// Cross-org callers (e.g. s8-feedback) refresh every organization's cache
+app.post("/refresh", authenticate, requireScope("analytics:write"), requireStaff, async (req, res) => {
   try {
-    await refreshMetricsCache();
+    const orgId = orgScope(req.user);
+    if (orgId === null) {
+      await refreshAllMetricsCaches();
+    } else {
+      await refreshMetricsCache(orgId);
+    }
+    const metrics = await getMetrics(orgId);
 
     res.json({
       message: "cache refreshed successfully",
-      cached_at: metricsCache.cached_at,
+      cached_at: metrics.cached_at,
     });
   } catch (err) {
     console.error(err);
@@ -255,10 +353,13 @@ app.post("/refresh", authenticate, requireStaff, async (req, res) => {
 });
 
 // GET /tickets/stats - Get detailed ticket statistics (staff only)
-app.get("/tickets/stats", authenticate, requireStaff, async (req, res) => {
+app.get("/tickets/stats", authenticate, requireScope("analytics:read"), requireStaff, async (req, res) => {
   try {
+    const tickets = await ticketsSource("tickets");
+
     // Time-based statistics
-    const stats = await pool.query(`
+    const stats = await pool.query(
+      `
       SELECT
         COUNT(*) as total,
         COUNT(CASE WHEN created_at >= NOW() - INTERVAL '24 hours' THEN 1 END) as last_24h,
@@ -268,8 +369,11 @@ app.get("/tickets/stats", authenticate, requireStaff, async (req, res) => {
         COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress_count,
         COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved_count,
         COUNT(CASE WHEN status = 'closed' THEN 1 END) as closed_count
-      FROM tickets
-    `);
+      FROM ${tickets}
+      WHERE ($1::int IS NULL OR org_id = $1)
+    `,
+      [orgScope(req.user)],
+    );
 
     res.json(stats.rows[0]);
   } catch (err) {
@@ -279,7 +383,7 @@ app.get("/tickets/stats", authenticate, requireStaff, async (req, res) => {
 });
 
 // GET /feedback/stats - Get detailed feedback statistics (staff only)
-app.get("/feedback/stats", authenticate, requireStaff, async (req, res) => {
+app.get("/feedback/stats", authenticate, requireScope("analytics:read"), requireStaff, async (req, res) => {
   try {
     // Check if feedback table exists
     const tableCheck = await pool.query(`
@@ -298,7 +402,9 @@ app.get("/feedback/stats", authenticate, requireStaff, async (req, res) => {
       });
     }
 
-    const stats = await pool.query(`
+    const tickets = await ticketsSource("tickets");
+    const stats = await pool.query(
+      `
       SELECT
         COUNT(*) as total,
         AVG(rating) as average_rating,
@@ -310,7 +416,10 @@ app.get("/feedback/stats", authenticate, requireStaff, async (req, res) => {
         COUNT(CASE WHEN rating = 2 THEN 1 END) as two_star,
         COUNT(CASE WHEN rating = 1 THEN 1 END) as one_star
       FROM feedback
-    `);
+      WHERE ($1::int IS NULL OR ticket_id IN (SELECT id FROM ${tickets} WHERE org_id = $1))
+    `,
+      [orgScope(req.user)],
+    );
 
     const result = stats.rows[0];
     result.average_rating = result.average_rating
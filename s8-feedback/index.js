@@ -1,5 +1,5 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const { createAuthenticate, requireScope, orgScope } = require("./auth-helper");
 const { Pool } = require("pg");
 const axios = require("axios");
 
@@ -10,25 +10,13 @@ const pool = new Pool({
   connectionString: process.env.DB_URL,
 });
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
 const REGISTRY_URL = process.env.REGISTRY_URL || "http://s3-registry:3003";
 
-// Middleware to verify JWT and extract user info
-function authenticate(req, res, next) {
-  try {
-    const auth = req.headers.authorization || "";
-    const [, token] = auth.split(" ");
-    if (!token) {
-      return res.status(401).json({ error: "missing token" });
-    }
+// API key of this service's service account (scope analytics:write), issued by s1-auth
+const SERVICE_API_KEY = process.env.SERVICE_API_KEY;
 
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload; // { sub: userId, role, email }
-    next();
-  } catch (err) {
-    return res.status(401).json({ error: "invalid token" });
-  }
-}
+// Middleware to verify JWT and extract user info (see auth-helper.js)
+const authenticate = createAuthenticate(pool);
 
 // Initialize feedback table on startup
 async function init() {
@@ -53,11 +41,52 @@ async function init() {
     .query(`CREATE INDEX IF NOT EXISTS idx_feedback_user_id ON feedback(user_id);`)
     .catch(() => {});
 
+  // Users CC'd on a ticket may rate it too; watchers are managed by S2 (same schema)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ticket_watchers (
+      ticket_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      added_by INTEGER NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (ticket_id, user_id)
+    );
+  `);
+
   console.log("Feedback table ready");
 }
 
+function seesAllTickets(user) {
+  return ["staff", "admin", "service"].includes(user.role);
+}
+
+// Live tickets and those S2 archived (tickets_archive); archived tickets keep their
+// feedback, deleted ones are left out
+const FEEDBACK_TICKETS = `(
+  SELECT id, org_id, user_id FROM tickets
+  UNION ALL
+  SELECT id, org_id, user_id FROM tickets_archive WHERE deleted_at IS NULL
+)`;
+
+// Whether the user may see the ticket, as in S2: staff and service accounts any ticket of
+// their organization, users their own and those they are CC'd on
+async function canSeeTicket(ticketId, user) {
+  const result = await pool.query(
+    `SELECT 1 FROM ${FEEDBACK_TICKETS} t
+     WHERE t.id = $1 AND ($2::int IS NULL OR t.org_id = $2)
+       AND ($3 OR t.user_id = $4 OR EXISTS (
+         SELECT 1 FROM ticket_watchers w WHERE w.ticket_id = t.id AND w.user_id = $4
+       ))`,
+    [ticketId, orgScope(user), seesAllTickets(user), user.sub]
+  );
+  return result.rows.length > 0;
+}
+
 // Notify Analytics service to refresh cache
-async function notifyAnalytics(token) {
+async function notifyAnalytics() {
+  if (!SERVICE_API_KEY) {
+    console.warn("[Analytics] SERVICE_API_KEY not set, skipping cache refresh");
+    return;
+  }
   try {
     // Discover Analytics service from registry
     const discoveryResponse = await axios.get(
@@ -73,7 +102,7 @@ async function notifyAnalytics(token) {
       {},
       {
         headers: {
-          Authorization: `Bearer ${token}`,
+          Authorization: `Bearer ${SERVICE_API_KEY}`,
         },
         timeout: 5000,
       }
@@ -92,7 +121,7 @@ app.get("/health", (req, res) => {
 });
 
 // POST / - Submit feedback for a ticket
-app.post("/", authenticate, async (req, res) => {
+app.post("/", authenticate, requireScope("feedback:write"), async (req, res) => {
   try {
     const { ticket_id, rating, comment } = req.body;
 
@@ -116,13 +145,8 @@ app.post("/", authenticate, async (req, res) => {
       });
     }
 
-    // Check if ticket exists
-    const ticketCheck = await pool.query(
-      `SELECT id FROM tickets WHERE id = $1`,
-      [ticketId]
-    );
-
-    if (ticketCheck.rows.length === 0) {
+    // Check if the caller can see the ticket
+    if (!(await canSeeTicket(ticketId, req.user))) {
       return res.status(404).json({ error: "ticket not found" });
     }
 
@@ -142,8 +166,7 @@ app.post("/", authenticate, async (req, res) => {
     const feedback = result.rows[0];
 
     // Notify Analytics service to refresh cache (async, don't wait)
-    const token = req.headers.authorization.split(" ")[1];
-    notifyAnalytics(token).catch(() => {});
+    notifyAnalytics().catch(() => {});
 
     res.status(201).json(feedback);
   } catch (err) {
@@ -153,7 +176,7 @@ app.post("/", authenticate, async (req, res) => {
 });
 
 // GET /ticket/:ticketId - Get all feedback for a ticket
-app.get("/ticket/:ticketId", authenticate, async (req, res) => {
+app.get("/ticket/:ticketId", authenticate, requireScope("feedback:read"), async (req, res) => {
   try {
     const ticketId = parseInt(req.params.ticketId);
 
@@ -161,6 +184,10 @@ app.get("/ticket/:ticketId", authenticate, async (req, res) => {
       return res.status(400).json({ error: "invalid ticket id" });
     }
 
+    if (!(await canSeeTicket(ticketId, req.user))) {
+      return res.status(404).json({ error: "ticket not found" });
+    }
+
     const result = await pool.query(
       `SELECT id, ticket_id, user_id, rating, comment, created_at
        FROM feedback
@@ -193,7 +220,7 @@ app.get("/ticket/:ticketId", authenticate, async (req, res) => {
 });
 
 // GET /user/:userId - Get all feedback from a user
-app.get("/user/:userId", authenticate, async (req, res) => {
+app.get("/user/:userId", authenticate, requireScope("feedback:read"), async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
 
@@ -209,11 +236,15 @@ app.get("/user/:userId", authenticate, async (req, res) => {
     }
 
     const result = await pool.query(
-      `SELECT id, ticket_id, user_id, rating, comment, created_at
-       FROM feedback
-       WHERE user_id = $1
-       ORDER BY created_at DESC`,
-      [userId]
+      `SELECT f.id, f.ticket_id, f.user_id, f.rating, f.comment, f.created_at
+       FROM feedback f
+       JOIN ${FEEDBACK_TICKETS} t ON t.id = f.ticket_id
+       WHERE f.user_id = $1 AND ($2::int IS NULL OR t.org_id = $2)
+         AND ($3 OR t.user_id = $4 OR EXISTS (
+           SELECT 1 FROM ticket_watchers w WHERE w.ticket_id = t.id AND w.user_id = $4
+         ))
+       ORDER BY f.created_at DESC`,
+      [userId, orgScope(req.user), seesAllTickets(req.user), req.user.sub]
     );
 
     res.json({ feedback: result.rows });
@@ -224,7 +255,7 @@ app.get("/user/:userId", authenticate, async (req, res) => {
 });
 
 // GET /stats - Get overall feedback statistics (staff only)
-app.get("/stats", authenticate, async (req, res) => {
+app.get("/stats", authenticate, requireScope("feedback:read"), async (req, res) => {
   try {
     const isStaff = req.user.role === "staff" || req.user.role === "admin";
 
@@ -232,16 +263,21 @@ app.get("/stats", authenticate, async (req, res) => {
       return res.status(403).json({ error: "staff access required" });
     }
 
-    const stats = await pool.query(`
+    const stats = await pool.query(
+      `
       SELECT
         COUNT(*) as total_feedback,
-        AVG(rating) as average_rating,
-        MIN(rating) as min_rating,
-        MAX(rating) as max_rating,
-        COUNT(DISTINCT ticket_id) as tickets_with_feedback,
-        COUNT(DISTINCT user_id) as users_who_gave_feedback
-      FROM feedback
-    `);
+        AVG(f.rating) as average_rating,
+        MIN(f.rating) as min_rating,
+        MAX(f.rating) as max_rating,
+        COUNT(DISTINCT f.ticket_id) as tickets_with_feedback,
+        COUNT(DISTINCT f.user_id) as users_who_gave_feedback
+      FROM feedback f
+      JOIN ${FEEDBACK_TICKETS} t ON t.id = f.ticket_id
+      WHERE ($1::int IS NULL OR t.org_id = $1)
+    `,
+      [orgScope(req.user)]
+    );
 
     const result = stats.rows[0];
     result.average_rating = result.average_rating
@@ -256,7 +292,7 @@ app.get("/stats", authenticate, async (req, res) => {
 });
 
 // DELETE /:id - Delete feedback (owner only or staff)
-app.delete("/:id", authenticate, async (req, res) => {
+app.delete("/:id", authenticate, requireScope("feedback:write"), async (req, res) => {
   try {
     const feedbackId = parseInt(req.params.id);
 
@@ -268,11 +304,14 @@ app.delete("/:id", authenticate, async (req, res) => {
 
     // Get feedback info
     const feedbackResult = await pool.query(
-      `SELECT id, user_id FROM feedback WHERE id = $1`,
+      `SELECT id, ticket_id, user_id FROM feedback WHERE id = $1`,
       [feedbackId]
     );
 
-    if (feedbackResult.rows.length === 0) {
+    if (
+      feedbackResult.rows.length === 0 ||
+      !(await canSeeTicket(feedbackResult.rows[0].ticket_id, req.user))
+    ) {
       return res.status(404).json({ error: "feedback not found" });
     }
 
@@ -287,8 +326,7 @@ app.delete("/:id", authenticate, async (req, res) => {
     await pool.query(`DELETE FROM feedback WHERE id = $1`, [feedbackId]);
 
     // Notify Analytics service to refresh cache (async)
-    const token = req.headers.authorization.split(" ")[1];
-    notifyAnalytics(token).catch(() => {});
+    notifyAnalytics().catch(() => {});
 
     res.json({ message: "feedback deleted successfully" });
   } catch (err) {